@@ -0,0 +1,351 @@
+/**
+ * Photo annotation editor
+ * Pen, highlighter, arrow, rectangle, text, crop and rotate with undo / redo.
+ *
+ * Every edit is an operation in image pixels. The picture is rebuilt by
+ * replaying the operations over the original image, so undo / redo and
+ * crop / rotate never lose quality.
+ */
+
+import { drawFitted } from './scanner.js';
+
+const MIN_CROP = 16;    // px, smaller crops are ignored
+
+/**
+ * Draw an arrow from a to b
+ */
+function drawArrow(ctx, from, to, width) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const head = width * 4;
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(to.x, to.y);
+    ctx.lineTo(to.x - head * Math.cos(angle - Math.PI / 6), to.y - head * Math.sin(angle - Math.PI / 6));
+    ctx.moveTo(to.x, to.y);
+    ctx.lineTo(to.x - head * Math.cos(angle + Math.PI / 6), to.y - head * Math.sin(angle + Math.PI / 6));
+    ctx.stroke();
+}
+
+/**
+ * Draw a single drawing operation onto a canvas
+ */
+function drawOperation(ctx, op) {
+    ctx.save();
+    ctx.strokeStyle = op.color;
+    ctx.fillStyle = op.color;
+    ctx.lineWidth = op.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (op.type) {
+        case 'highlighter':
+            ctx.globalAlpha = 0.35;
+            ctx.lineCap = 'butt';
+            // falls through
+        case 'pen':
+            ctx.beginPath();
+            op.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            if (op.points.length === 1) ctx.lineTo(op.points[0].x + 0.1, op.points[0].y);
+            ctx.stroke();
+            break;
+        case 'arrow':
+            drawArrow(ctx, op.from, op.to, op.width);
+            break;
+        case 'rect':
+            ctx.strokeRect(op.from.x, op.from.y, op.to.x - op.from.x, op.to.y - op.from.y);
+            break;
+        case 'text':
+            ctx.font = `600 ${op.size}px -apple-system, BlinkMacSystemFont, sans-serif`;
+            ctx.textBaseline = 'top';
+            ctx.lineWidth = op.size / 6;
+            ctx.strokeStyle = 'white';
+            ctx.strokeText(op.text, op.at.x, op.at.y);
+            ctx.fillText(op.text, op.at.x, op.at.y);
+            break;
+    }
+    ctx.restore();
+}
+
+/**
+ * Copy of a canvas rotated 90 degrees clockwise
+ */
+function rotateCanvas(source) {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.height;
+    canvas.height = source.width;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width, 0);
+    ctx.rotate(Math.PI / 2);
+    ctx.drawImage(source, 0, 0);
+    return canvas;
+}
+
+/**
+ * Copy of a region of a canvas
+ */
+function cropCanvas(source, rect) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(rect.w);
+    canvas.height = Math.round(rect.h);
+    canvas.getContext('2d').drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+    return canvas;
+}
+
+/**
+ * Rectangle between two points
+ */
+function normalizeRect(a, b) {
+    return {
+        x: Math.min(a.x, b.x),
+        y: Math.min(a.y, b.y),
+        w: Math.abs(a.x - b.x),
+        h: Math.abs(a.y - b.y)
+    };
+}
+
+/**
+ * Annotation editor class
+ */
+export class AnnotationEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas shown in the annotate view
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.tool = 'pen';
+        this.color = '#ef4444';
+
+        // Callbacks
+        this.onChange = null;       // Undo / redo availability changed
+        this.onTextRequest = null;  // () => Promise<string|null>, asks the user for text
+
+        // Image state
+        this.original = null;       // Canvas with the untouched image
+        this.image = null;          // Canvas with all operations applied
+        this.operations = [];
+        this.redoStack = [];
+        this.current = null;        // Operation being drawn
+        this.mapping = null;
+
+        canvas.addEventListener('pointerdown', e => this.handleDown(e));
+        canvas.addEventListener('pointermove', e => this.handleMove(e));
+        canvas.addEventListener('pointerup', () => this.handleUp());
+        canvas.addEventListener('pointercancel', () => {
+            this.current = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Load an image to edit
+     * @param {Blob} blob - Photo
+     */
+    async load(blob) {
+        const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        this.original = document.createElement('canvas');
+        this.original.width = bitmap.width;
+        this.original.height = bitmap.height;
+        this.original.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        this.operations = [];
+        this.redoStack = [];
+        this.current = null;
+        this.render();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+    }
+
+    setColor(color) {
+        this.color = color;
+    }
+
+    get canUndo() {
+        return this.operations.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo) return;
+        this.redoStack.push(this.operations.pop());
+        this.render();
+    }
+
+    redo() {
+        if (!this.canRedo) return;
+        this.operations.push(this.redoStack.pop());
+        this.render();
+    }
+
+    /**
+     * Rotate 90 degrees clockwise
+     */
+    rotate() {
+        this.commit({ type: 'rotate' });
+    }
+
+    /**
+     * Flatten the image with all annotations
+     * @returns {Promise<Blob>}
+     */
+    toBlob(type = 'image/jpeg', quality = 0.92) {
+        return new Promise(resolve => this.image.toBlob(resolve, type, quality));
+    }
+
+    /**
+     * Add an operation and clear the redo stack
+     */
+    commit(op) {
+        this.operations.push(op);
+        this.redoStack = [];
+        this.render();
+    }
+
+    /**
+     * Rebuild the image from the original and the operations
+     */
+    render() {
+        let image = cropCanvas(this.original, { x: 0, y: 0, w: this.original.width, h: this.original.height });
+
+        this.operations.forEach(op => {
+            if (op.type === 'rotate') {
+                image = rotateCanvas(image);
+            } else if (op.type === 'crop') {
+                image = cropCanvas(image, op.rect);
+            } else {
+                drawOperation(image.getContext('2d'), op);
+            }
+        });
+
+        this.image = image;
+        this.resize();
+        this.draw();
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Match the canvas resolution to its displayed size
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = Math.round(rect.width * ratio);
+        this.canvas.height = Math.round(rect.height * ratio);
+    }
+
+    /**
+     * Show the image and the operation being drawn
+     */
+    draw() {
+        if (!this.image) return;
+
+        this.mapping = drawFitted(this.canvas, this.image);
+        if (!this.current) return;
+
+        const ctx = this.canvas.getContext('2d');
+        const { scale, offsetX, offsetY } = this.mapping;
+        ctx.save();
+        ctx.translate(offsetX, offsetY);
+        ctx.scale(scale, scale);
+
+        if (this.current.type === 'crop') {
+            const r = normalizeRect(this.current.from, this.current.to);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, this.image.width, r.y);
+            ctx.fillRect(0, r.y + r.h, this.image.width, this.image.height - r.y - r.h);
+            ctx.fillRect(0, r.y, r.x, r.h);
+            ctx.fillRect(r.x + r.w, r.y, this.image.width - r.x - r.w, r.h);
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2 / scale;
+            ctx.strokeRect(r.x, r.y, r.w, r.h);
+        } else {
+            drawOperation(ctx, this.current);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Pointer position in image pixels
+     */
+    toImage(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = this.canvas.width / rect.width;
+        const { scale, offsetX, offsetY } = this.mapping;
+        return {
+            x: Math.min(Math.max(((e.clientX - rect.left) * ratio - offsetX) / scale, 0), this.image.width),
+            y: Math.min(Math.max(((e.clientY - rect.top) * ratio - offsetY) / scale, 0), this.image.height)
+        };
+    }
+
+    /**
+     * Line width / text size relative to the image, so marks look the same on any photo
+     */
+    get baseSize() {
+        return Math.max(this.image.width, this.image.height) / 200;
+    }
+
+    async handleDown(e) {
+        if (!this.image) return;
+        e.preventDefault();
+        const p = this.toImage(e);
+
+        if (this.tool === 'text') {
+            const text = this.onTextRequest ? await this.onTextRequest() : null;
+            if (text) {
+                this.commit({ type: 'text', color: this.color, size: this.baseSize * 8, at: p, text });
+            }
+            return;
+        }
+
+        this.canvas.setPointerCapture(e.pointerId);
+        const width = this.tool === 'highlighter' ? this.baseSize * 5 : this.baseSize;
+
+        if (this.tool === 'pen' || this.tool === 'highlighter') {
+            this.current = { type: this.tool, color: this.color, width, points: [p] };
+        } else {
+            this.current = { type: this.tool, color: this.color, width, from: p, to: p };
+        }
+        this.draw();
+    }
+
+    handleMove(e) {
+        if (!this.current) return;
+        e.preventDefault();
+        const p = this.toImage(e);
+
+        if (this.current.points) {
+            this.current.points.push(p);
+        } else {
+            this.current.to = p;
+        }
+        this.draw();
+    }
+
+    handleUp() {
+        const op = this.current;
+        if (!op) return;
+        this.current = null;
+
+        if (op.type === 'crop') {
+            const rect = normalizeRect(op.from, op.to);
+            if (rect.w >= MIN_CROP && rect.h >= MIN_CROP) {
+                this.commit({ type: 'crop', rect });
+            } else {
+                this.draw();
+            }
+            return;
+        }
+
+        this.commit(op);
+    }
+}
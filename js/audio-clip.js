@@ -0,0 +1,131 @@
+/**
+ * Recorded audio preview: waveform and trimming
+ *
+ * A MediaRecorder clip cannot be cut without re-encoding it, so a trimmed
+ * clip is decoded and written out as 16-bit mono WAV. A clip that was not
+ * trimmed is sent as recorded.
+ */
+
+// Keep the trimmed WAV small, speech does not need more
+const WAV_SAMPLE_RATE = 22050;
+const WAVEFORM_BARS = 160;
+
+// Shortest clip the trim handles allow, in seconds
+export const MIN_CLIP_DURATION = 0.5;
+
+/**
+ * Decode a recorded clip
+ * @param {Blob} blob - Recording
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudio(blob) {
+    const data = await blob.arrayBuffer();
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+        // Older Safari only has the callback form
+        return await new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject));
+    } finally {
+        context.close();
+    }
+}
+
+/**
+ * Loudest sample per bucket, for drawing the waveform
+ * @param {AudioBuffer} buffer - Decoded clip
+ * @param {number} count - Number of buckets
+ * @returns {Float32Array} peaks, 0..1
+ */
+export function waveformPeaks(buffer, count = WAVEFORM_BARS) {
+    const samples = buffer.getChannelData(0);
+    const size = Math.max(1, Math.floor(samples.length / count));
+    const peaks = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        let peak = 0;
+        const end = Math.min(samples.length, (i + 1) * size);
+        for (let j = i * size; j < end; j++) {
+            const value = Math.abs(samples[j]);
+            if (value > peak) peak = value;
+        }
+        peaks[i] = peak;
+    }
+    return peaks;
+}
+
+/**
+ * Draw the waveform with the trimmed-off parts dimmed
+ * Colors come from the canvas' CSS color.
+ * @param {HTMLCanvasElement} canvas - Target
+ * @param {Float32Array} peaks - From waveformPeaks
+ * @param {object} view - { start, end, position } as fractions of the clip (0..1)
+ */
+export function drawWaveform(canvas, peaks, view) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const bar = width / peaks.length;
+    const middle = height / 2;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = getComputedStyle(canvas).color;
+
+    peaks.forEach((peak, i) => {
+        const at = i / peaks.length;
+        ctx.globalAlpha = at >= view.start && at <= view.end ? 1 : 0.25;
+        const h = Math.max(2, peak * height * 0.9);
+        ctx.fillRect(i * bar, middle - h / 2, Math.max(1, bar - 1), h);
+    });
+
+    if (view.position !== null && view.position !== undefined) {
+        ctx.globalAlpha = 1;
+        ctx.fillRect(Math.round(view.position * width) - 1, 0, 2, height);
+    }
+}
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+/**
+ * Cut a decoded clip and encode it as WAV
+ * @param {AudioBuffer} buffer - Decoded clip
+ * @param {number} start - Start in seconds
+ * @param {number} end - End in seconds
+ * @returns {Blob} audio/wav
+ */
+export function trimToWav(buffer, start, end) {
+    const ratio = buffer.sampleRate / Math.min(WAV_SAMPLE_RATE, buffer.sampleRate);
+    const rate = Math.round(buffer.sampleRate / ratio);
+    const first = Math.floor(start * buffer.sampleRate);
+    const count = Math.floor((end - start) * rate);
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+
+    const data = new DataView(new ArrayBuffer(44 + count * 2));
+    writeString(data, 0, 'RIFF');
+    data.setUint32(4, 36 + count * 2, true);
+    writeString(data, 8, 'WAVE');
+    writeString(data, 12, 'fmt ');
+    data.setUint32(16, 16, true);           // fmt chunk size
+    data.setUint16(20, 1, true);            // PCM
+    data.setUint16(22, 1, true);            // mono
+    data.setUint32(24, rate, true);
+    data.setUint32(28, rate * 2, true);     // byte rate
+    data.setUint16(32, 2, true);            // block align
+    data.setUint16(34, 16, true);           // bits per sample
+    writeString(data, 36, 'data');
+    data.setUint32(40, count * 2, true);
+
+    const last = channels[0].length;
+    for (let i = 0; i < count; i++) {
+        // Average of the source samples this one covers, mixed down to mono
+        const from = Math.min(first + Math.floor(i * ratio), last - 1);
+        const to = Math.min(Math.max(from + 1, first + Math.floor((i + 1) * ratio)), last);
+        let sum = 0;
+        channels.forEach(channel => {
+            for (let j = from; j < to; j++) sum += channel[j];
+        });
+        const value = Math.max(-1, Math.min(1, sum / ((to - from) * channels.length)));
+        data.setInt16(44 + i * 2, value < 0 ? value * 0x8000 : value * 0x7fff, true);
+    }
+
+    return new Blob([data.buffer], { type: 'audio/wav' });
+}
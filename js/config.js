@@ -0,0 +1,75 @@
+/**
+ * App configuration
+ *
+ * The defaults below can be overridden by a TAHTA_CONFIG object defined in a
+ * script before the app loads (for self-hosted setups), and then by URL
+ * parameters:
+ *
+ *   ?signaling=websocket&ws=wss://signal.example.org   signaling backend
+ *   ?maxSize=1600&quality=0.8                          image size / quality
+ *   ?relay=1                                           relay-only ICE (TURN)
+ */
+
+const defaults = {
+    // Signaling backend: 'firebase' or 'websocket'
+    signaling: 'firebase',
+    firebaseDatabaseURL: 'https://tahta-connect-default-rtdb.firebaseio.com',
+    websocketURL: null,
+
+    // ICE servers used when the room does not publish its own (rooms/{roomId}/ice).
+    // TURN entries take { urls, username, credential }.
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        { urls: 'stun:stun2.l.google.com:19302' },
+        { urls: 'stun:stun3.l.google.com:19302' },
+        { urls: 'stun:stun4.l.google.com:19302' }
+    ],
+    // 'all' or 'relay' (TURN only, for networks that block direct connections)
+    iceTransportPolicy: 'all',
+
+    // Image preprocessing, see imaging.js
+    image: {},
+
+    // Document sending, see documents.js ({ maxSize })
+    document: {},
+
+    // Audio recording, see recording.js ({ maxDuration } in seconds)
+    audio: {},
+
+    // Video recording, see recording.js ({ maxDuration, maxSize, bitsPerSecond })
+    video: {}
+};
+
+/**
+ * Build the config from defaults, TAHTA_CONFIG and URL parameters
+ * @param {URLSearchParams} params - URL parameters
+ */
+export function loadConfig(params) {
+    const overrides = window.TAHTA_CONFIG || {};
+    const config = {
+        ...defaults,
+        ...overrides,
+        image: { ...defaults.image, ...overrides.image },
+        document: { ...defaults.document, ...overrides.document },
+        audio: { ...defaults.audio, ...overrides.audio },
+        video: { ...defaults.video, ...overrides.video }
+    };
+
+    if (params.get('ws')) {
+        config.websocketURL = params.get('ws');
+        config.signaling = 'websocket';
+    }
+    if (params.get('signaling')) {
+        config.signaling = params.get('signaling');
+    }
+
+    if (params.get('relay') === '1') config.iceTransportPolicy = 'relay';
+
+    if (params.get('maxSize')) config.image.maxDimension = Number(params.get('maxSize'));
+    if (params.get('quality')) config.image.quality = Number(params.get('quality'));
+
+    return config;
+}
+
+export const config = loadConfig(new URLSearchParams(window.location.search));
@@ -0,0 +1,91 @@
+/**
+ * Documents the phone can send to Tahta (PDF, Office, OpenDocument, text)
+ *
+ * Pickers do not always report a MIME type (Android file managers often send
+ * an empty one), so the extension decides and the MIME type is filled in
+ * from it.
+ */
+
+export const DOCUMENT_DEFAULTS = {
+    maxSize: 50 * 1024 * 1024   // 50MB, Tahta can lower it in its hello (limits.maxFileSize)
+};
+
+// Extension -> { mimeType, kind }, kind picks the preview badge
+const DOCUMENT_TYPES = {
+    pdf: { mimeType: 'application/pdf', kind: 'pdf' },
+    doc: { mimeType: 'application/msword', kind: 'word' },
+    docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', kind: 'word' },
+    xls: { mimeType: 'application/vnd.ms-excel', kind: 'sheet' },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', kind: 'sheet' },
+    ppt: { mimeType: 'application/vnd.ms-powerpoint', kind: 'slides' },
+    pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', kind: 'slides' },
+    odt: { mimeType: 'application/vnd.oasis.opendocument.text', kind: 'word' },
+    ods: { mimeType: 'application/vnd.oasis.opendocument.spreadsheet', kind: 'sheet' },
+    odp: { mimeType: 'application/vnd.oasis.opendocument.presentation', kind: 'slides' },
+    txt: { mimeType: 'text/plain', kind: 'text' },
+    md: { mimeType: 'text/markdown', kind: 'text' },
+    csv: { mimeType: 'text/csv', kind: 'text' },
+    rtf: { mimeType: 'application/rtf', kind: 'text' }
+};
+
+const SNIPPET_BYTES = 2048;
+
+/**
+ * Value for the accept attribute of the document picker
+ */
+export const DOCUMENT_ACCEPT = Object.entries(DOCUMENT_TYPES)
+    .map(([ext, type]) => `.${ext},${type.mimeType}`)
+    .join(',');
+
+function extensionOf(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Describe a picked file
+ * @param {File} file - Picked file
+ * @returns {{ext: string, mimeType: string, kind: string}|null} null if not a supported document
+ */
+export function describeDocument(file) {
+    const ext = extensionOf(file.name);
+    const type = DOCUMENT_TYPES[ext];
+
+    // No usable extension, fall back to the MIME type the picker reported
+    if (!type && file.type) {
+        const match = Object.entries(DOCUMENT_TYPES).find(([, entry]) => entry.mimeType === file.type);
+        if (match) return { ext: match[0], ...match[1] };
+    }
+
+    return type ? { ext: ext, ...type } : null;
+}
+
+/**
+ * First characters of a text document, for the preview
+ * @returns {Promise<string|null>} null for binary documents
+ */
+export async function readSnippet(file, info) {
+    if (info.kind !== 'text' || info.ext === 'rtf') return null;
+
+    const text = await file.slice(0, SNIPPET_BYTES).text();
+    // Cut at the last full line, the slice may end mid-character
+    const end = text.length < file.size ? text.lastIndexOf('\n') : text.length;
+    return text.slice(0, end > 0 ? end : text.length);
+}
+
+/**
+ * Human readable size, e.g. '2,4 MB'
+ * @param {number} bytes - Size
+ * @param {string} locale - Locale for the decimal separator
+ */
+export function formatSize(bytes, locale) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    const digits = unit === 0 || value >= 10 ? 0 : 1;
+    return `${value.toLocaleString(locale, { maximumFractionDigits: digits })} ${units[unit]}`;
+}
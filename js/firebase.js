@@ -12,30 +12,38 @@ import {
     remove,
     off
 } from 'https://www.gstatic.com/firebasejs/10.7.0/firebase-database.js';
+import { Signaling } from './signaling.js';
 
-// Firebase configuration
-const firebaseConfig = {
-    databaseURL: "https://tahta-connect-default-rtdb.firebaseio.com"
-};
-
-// Initialize Firebase
+// Firebase is initialized on first use, with the database URL from the config
 let app = null;
 let database = null;
 
-try {
-    app = initializeApp(firebaseConfig);
-    database = getDatabase(app);
-    console.log('Firebase initialized');
-} catch (error) {
-    console.error('Firebase initialization error:', error);
+function initDatabase(databaseURL) {
+    if (database) return database;
+
+    try {
+        app = initializeApp({ databaseURL });
+        database = getDatabase(app);
+        console.log('Firebase initialized');
+    } catch (error) {
+        console.error('Firebase initialization error:', error);
+        throw error;
+    }
+    return database;
 }
 
 /**
  * Firebase signaling client for phone side
  */
-export class FirebaseSignaling {
-    constructor(roomId) {
-        this.roomId = roomId;
+export class FirebaseSignaling extends Signaling {
+    /**
+     * @param {string} roomId - Room id
+     * @param {string} participantId - This phone's id in the room
+     * @param {object} options - { databaseURL }
+     */
+    constructor(roomId, participantId, options = {}) {
+        super(roomId, participantId);
+        initDatabase(options.databaseURL);
         this.roomRef = ref(database, `rooms/${roomId}`);
         this.listeners = [];
     }
@@ -45,7 +53,7 @@ export class FirebaseSignaling {
      */
     async setOffer(sdp) {
         try {
-            await set(ref(database, `rooms/${this.roomId}/phone/sdp`), sdp);
+            await set(ref(database, `${this.peerRoot}/phone/sdp`), sdp);
             return true;
         } catch (error) {
             console.error('Set offer error:', error);
@@ -58,7 +66,7 @@ export class FirebaseSignaling {
      */
     async addIceCandidate(candidate) {
         try {
-            await push(ref(database, `rooms/${this.roomId}/phone/ice_candidates`), candidate);
+            await push(ref(database, `${this.peerRoot}/phone/ice_candidates`), candidate);
             return true;
         } catch (error) {
             console.error('Add ICE candidate error:', error);
@@ -66,15 +74,29 @@ export class FirebaseSignaling {
         }
     }
 
+    /**
+     * Remove ICE candidates from an earlier peer connection before renegotiating
+     */
+    async clearIceCandidates() {
+        try {
+            await remove(ref(database, `${this.peerRoot}/phone/ice_candidates`));
+            return true;
+        } catch (error) {
+            console.error('Clear ICE candidates error:', error);
+            return false;
+        }
+    }
+
     /**
      * Listen for SDP answer from Tahta
      */
     onAnswer(callback) {
-        const answerRef = ref(database, `rooms/${this.roomId}/tahta/sdp`);
+        const answerRef = ref(database, `${this.peerRoot}/tahta/sdp`);
 
         const unsubscribe = onValue(answerRef, (snapshot) => {
             const data = snapshot.val();
-            if (data && data.sdp) {
+            // Plain answer, or sealed by secure-signaling.js
+            if (data && (data.sdp || data.sealed)) {
                 callback(data);
             }
         });
@@ -86,7 +108,7 @@ export class FirebaseSignaling {
      * Listen for ICE candidates from Tahta
      */
     onRemoteIceCandidate(callback) {
-        const candidatesRef = ref(database, `rooms/${this.roomId}/tahta/ice_candidates`);
+        const candidatesRef = ref(database, `${this.peerRoot}/tahta/ice_candidates`);
         const processedKeys = new Set();
 
         const unsubscribe = onValue(candidatesRef, (snapshot) => {
@@ -124,21 +146,67 @@ export class FirebaseSignaling {
      * Check if room exists
      */
     async checkRoom() {
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             const roomRef = ref(database, `rooms/${this.roomId}`);
 
             onValue(roomRef, (snapshot) => {
                 resolve(snapshot.exists());
+            }, reject, { onlyOnce: true });
+        });
+    }
+
+    /**
+     * Read the pairing Tahta published for the room
+     */
+    async getPairing() {
+        return new Promise((resolve, reject) => {
+            const pairingRef = ref(database, `rooms/${this.roomId}/pairing`);
+
+            onValue(pairingRef, (snapshot) => {
+                resolve(snapshot.val());
+            }, reject, { onlyOnce: true });
+        });
+    }
+
+    /**
+     * Listen for Tahta's verdict on the pairing proof
+     */
+    onPairingResult(callback) {
+        const resultRef = ref(database, `${this.peerRoot}/tahta/pairing`);
+
+        const unsubscribe = onValue(resultRef, (snapshot) => {
+            const result = snapshot.val();
+            if (result) {
+                callback(result);
+            }
+        });
+
+        this.listeners.push({ ref: resultRef, unsubscribe });
+    }
+
+    /**
+     * Read the ICE config Tahta published for the room
+     */
+    async getIceConfig() {
+        return new Promise((resolve) => {
+            const iceRef = ref(database, `rooms/${this.roomId}/ice`);
+
+            // The room config is optional, the defaults are used when it cannot be read
+            onValue(iceRef, (snapshot) => {
+                resolve(snapshot.val());
+            }, (error) => {
+                console.warn('Could not read room ICE config:', error.message);
+                resolve(null);
             }, { onlyOnce: true });
         });
     }
 
     /**
-     * Update room status
+     * Update the phone's status
      */
     async updateStatus(status) {
         try {
-            await set(ref(database, `rooms/${this.roomId}/status`), status);
+            await set(ref(database, `${this.peerRoot}/phone/status`), status);
             return true;
         } catch (error) {
             console.error('Update status error:', error);
@@ -147,7 +215,20 @@ export class FirebaseSignaling {
     }
 
     /**
-     * Cleanup: remove listeners and phone data
+     * Publish the phone's display name
+     */
+    async setName(name) {
+        try {
+            await set(ref(database, `${this.peerRoot}/phone/name`), name);
+            return true;
+        } catch (error) {
+            console.error('Set name error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Cleanup: remove listeners and this participant's subtree
      */
     cleanup() {
         // Remove all listeners
@@ -156,9 +237,9 @@ export class FirebaseSignaling {
         });
         this.listeners = [];
 
-        // Remove phone data from room
+        // Other phones in the room keep their own subtrees
         try {
-            remove(ref(database, `rooms/${this.roomId}/phone`));
+            remove(ref(database, this.peerRoot));
         } catch (error) {
             console.error('Cleanup error:', error);
         }
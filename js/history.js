@@ -0,0 +1,253 @@
+/**
+ * Sent history and outbox, kept in IndexedDB
+ *
+ * Every item is stored before it is sent, with what is needed to send it
+ * again (the file or the message data), so nothing is lost when a send fails
+ * or the page is closed halfway. Queued (board not connected) and failed
+ * items form the outbox.
+ *
+ * Entry: { id, roomId, kind, name, blob?, mimeType?, clip?, data?, thumb?,
+ *          status, error, createdAt, sentAt, itemId? }
+ *
+ * itemId is the board's id of a pending item (see ReceiptStatus in protocol.js).
+ * Sent audio and video clips lose their blob once they are past
+ * MAX_SENT_MEDIA_BYTES, the entry stays in the list but cannot be resent.
+ *
+ * kind is 'image', 'audio', 'video' or 'document' (blob) or the message type
+ * for 'youtube', 'link' and 'note' (data).
+ */
+
+const DB_NAME = 'tahta-connect';
+const DB_VERSION = 1;
+const STORE = 'history';
+
+// Sent and rejected entries kept per room, failed ones are always kept
+const MAX_SENT_ENTRIES = 50;
+// Recordings of sent clips kept in total, newest first
+const MAX_SENT_MEDIA_BYTES = 100 * 1024 * 1024;
+const MEDIA_KINDS = ['audio', 'video'];
+const THUMB_SIZE = 160;
+
+export const HistoryStatus = {
+    QUEUED: 'queued',       // Waiting for the board to connect
+    SENDING: 'sending',
+    PENDING: 'pending',     // Held by the board until the teacher approves it
+    SENT: 'sent',
+    REJECTED: 'rejected',   // Declined by the teacher (moderation)
+    FAILED: 'failed'
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('room', ['roomId', 'createdAt']);
+    };
+    return promisify(request);
+}
+
+/**
+ * An entry still has what is needed to send it again
+ */
+export function isResendable(entry) {
+    return Boolean(entry.blob || entry.data);
+}
+
+/**
+ * Small JPEG of an image, for the history list
+ * @returns {Promise<Blob|null>} null if the image cannot be decoded
+ */
+export async function makeThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = THUMB_SIZE / Math.max(bitmap.width, bitmap.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * Math.min(1, scale));
+        canvas.height = Math.round(bitmap.height * Math.min(1, scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * History of one room
+ * Storage can be missing (private browsing, blocked by the user); entries
+ * are then kept in memory, so queued items are still sent while the page
+ * stays open.
+ */
+export class History {
+    /**
+     * @param {string} roomId - Room the entries belong to
+     */
+    constructor(roomId) {
+        this.roomId = roomId;
+        this.opening = null;
+        this.memory = [];       // Entries while there is no database, oldest first
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Open the database, once
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = openDatabase().catch(error => {
+                console.warn('History not available:', error);
+                return null;
+            });
+        }
+        return this.opening;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db ? db.transaction(STORE, mode).objectStore(STORE) : null;
+    }
+
+    /**
+     * Store a new entry before sending it
+     * @param {object} entry - { kind, name, blob?, mimeType?, clip?, data? }
+     * @param {string} status - SENDING, or QUEUED to send it later
+     * @returns {Promise<number|null>} entry id
+     */
+    async add(entry, status = HistoryStatus.SENDING) {
+        const thumb = entry.kind === 'image' && entry.blob ? await makeThumbnail(entry.blob) : null;
+        const record = {
+            ...entry,
+            roomId: this.roomId,
+            thumb: thumb,
+            status: status,
+            error: null,
+            createdAt: Date.now(),
+            sentAt: null
+        };
+
+        const store = await this.store('readwrite');
+        if (!store) {
+            const id = this.nextMemoryId++;
+            this.memory.push({ ...record, id: id });
+            this.prune();
+            return id;
+        }
+
+        try {
+            const id = await promisify(store.add(record));
+            this.prune();
+            return id;
+        } catch (error) {
+            // Quota exceeded: send anyway, just without a history entry
+            console.warn('Could not store history entry:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Change fields of an entry, a new image blob also gets a new thumbnail
+     */
+    async update(id, changes) {
+        if (id === null) return;
+        const extra = changes.blob ? { thumb: await makeThumbnail(changes.blob) } : {};
+
+        const store = await this.store('readwrite');
+        const entry = store ? await promisify(store.get(id)) : await this.get(id);
+        if (!entry) return;
+        if (entry.kind !== 'image') delete extra.thumb;
+
+        const updated = { ...entry, ...changes, ...extra };
+        if (store) {
+            await promisify(store.put(updated));
+        } else {
+            this.memory = this.memory.map(e => e.id === id ? updated : e);
+        }
+    }
+
+    async get(id) {
+        const store = await this.store('readonly');
+        if (!store) return this.memory.find(entry => entry.id === id) || null;
+        return promisify(store.get(id));
+    }
+
+    async remove(id) {
+        const store = await this.store('readwrite');
+        if (store) {
+            await promisify(store.delete(id));
+        } else {
+            this.memory = this.memory.filter(entry => entry.id !== id);
+        }
+    }
+
+    /**
+     * Entries of this room, newest first
+     */
+    async list() {
+        const store = await this.store('readonly');
+        if (!store) return [...this.memory].reverse();
+
+        const range = IDBKeyRange.bound([this.roomId, 0], [this.roomId, Infinity]);
+        const entries = await promisify(store.index('room').getAll(range));
+        return entries.reverse();
+    }
+
+    /**
+     * Entries that still have to be sent, the teacher's rejections are final
+     */
+    async outbox() {
+        const entries = await this.list();
+        const done = [HistoryStatus.SENT, HistoryStatus.PENDING, HistoryStatus.REJECTED];
+        return entries.filter(entry => !done.includes(entry.status));
+    }
+
+    /**
+     * Queued entries, oldest first
+     */
+    async queued() {
+        const entries = await this.list();
+        return entries.filter(entry => entry.status === HistoryStatus.QUEUED).reverse();
+    }
+
+    /**
+     * Entries left 'sending' by a page that was closed mid-send are failed
+     */
+    async recoverInterrupted() {
+        const entries = await this.list();
+        await Promise.all(entries
+            .filter(entry => entry.status === HistoryStatus.SENDING)
+            .map(entry => this.update(entry.id, { status: HistoryStatus.FAILED, error: 'interrupted' })));
+    }
+
+    /**
+     * Drop the oldest sent and rejected entries above MAX_SENT_ENTRIES,
+     * and the recordings of sent clips above MAX_SENT_MEDIA_BYTES
+     */
+    async prune() {
+        try {
+            const sent = (await this.list())
+                .filter(entry => entry.status === HistoryStatus.SENT || entry.status === HistoryStatus.REJECTED);
+            await Promise.all(sent.slice(MAX_SENT_ENTRIES).map(entry => this.remove(entry.id)));
+
+            let mediaBytes = 0;
+            const heavy = sent.slice(0, MAX_SENT_ENTRIES).filter(entry => {
+                if (!entry.blob || !MEDIA_KINDS.includes(entry.kind)) return false;
+                mediaBytes += entry.blob.size;
+                return mediaBytes > MAX_SENT_MEDIA_BYTES;
+            });
+            await Promise.all(heavy.map(entry => this.update(entry.id, { blob: null })));
+        } catch (error) {
+            console.warn('Could not prune history:', error);
+        }
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Localization
+ *
+ * Messages live in locales/{lang}.json, one file per language, so adding a
+ * language is a data-only change. The language comes from ?lang= or the
+ * browser languages; each candidate is fetched by name ('pt-br', then 'pt')
+ * and the default locale is used when none is found. Keys missing from a
+ * locale fall back to the default locale.
+ *
+ * Keys are dotted paths into the catalog, e.g. t('error.sendFailed').
+ * Values may contain {name} placeholders and plural forms
+ * ({ "one": "...", "other": "..." }, picked with Intl.PluralRules by the
+ * count parameter).
+ *
+ * Markup is translated through attributes: data-i18n sets the text,
+ * data-i18n-placeholder / -title / -alt / -aria-label set that attribute.
+ */
+
+export const DEFAULT_LOCALE = 'tr';
+
+const ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+let locale = DEFAULT_LOCALE;
+let messages = {};
+let fallback = {};
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+
+async function fetchCatalog(lang) {
+    const response = await fetch(`locales/${lang}.json`);
+    if (!response.ok) throw new Error(`Locale not found: ${lang}`);
+    return response.json();
+}
+
+/**
+ * Locales to try, most specific first
+ */
+function candidateLocales(params) {
+    const requested = [params.get('lang'), ...(navigator.languages || [navigator.language])];
+    const result = [];
+
+    requested.forEach(tag => {
+        if (!tag) return;
+        const lang = tag.toLowerCase();
+        [lang, lang.split('-')[0]].forEach(candidate => {
+            if (LOCALE_PATTERN.test(candidate) && !result.includes(candidate)) result.push(candidate);
+        });
+    });
+
+    if (!result.includes(DEFAULT_LOCALE)) result.push(DEFAULT_LOCALE);
+    return result;
+}
+
+/**
+ * Load the locale for this page and translate the markup
+ * @param {URLSearchParams} params - URL parameters (lang)
+ */
+export async function initI18n(params) {
+    try {
+        fallback = await fetchCatalog(DEFAULT_LOCALE);
+    } catch (error) {
+        console.error('Default locale missing:', error);
+    }
+
+    for (const lang of candidateLocales(params)) {
+        if (lang === DEFAULT_LOCALE) {
+            messages = fallback;
+        } else {
+            try {
+                messages = await fetchCatalog(lang);
+            } catch (error) {
+                continue;
+            }
+        }
+        locale = lang;
+        break;
+    }
+
+    pluralRules = new Intl.PluralRules(locale);
+    document.documentElement.lang = locale;
+    translatePage();
+}
+
+/**
+ * Current locale, e.g. 'tr'
+ */
+export function getLocale() {
+    return locale;
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * Translate a key
+ * @param {string} key - Dotted key, e.g. 'queue.summary'
+ * @param {object} params - Placeholder values, count also picks the plural form
+ */
+export function t(key, params = {}) {
+    let value = lookup(messages, key);
+    if (value === undefined) value = lookup(fallback, key);
+    if (value === undefined) return key;
+
+    if (typeof value === 'object') {
+        value = value[pluralRules.select(params.count ?? 0)] ?? value.other;
+    }
+
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate elements with data-i18n attributes
+ * @param {ParentNode} root - Element to translate, defaults to the document
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+
+    ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
@@ -0,0 +1,202 @@
+/**
+ * Image preprocessing before sending to Tahta
+ * Applies EXIF orientation, strips metadata (GPS, camera info), limits the
+ * resolution and re-encodes formats Tahta may not show (HEIC, AVIF, TIFF, ...)
+ * as JPEG or WebP. Decoding is done by the browser.
+ */
+
+export const IMAGE_DEFAULTS = {
+    maxDimension: 2048,     // Longest side in pixels
+    quality: 0.85,          // JPEG / WebP quality
+    format: 'image/jpeg'    // Output for photos, images with transparency use WebP (or PNG)
+};
+
+// Formats that may carry transparency
+const ALPHA_TYPES = ['image/png', 'image/webp', 'image/avif', 'image/heic', 'image/heif'];
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+let orientationSupport = null;
+let webpSupport = null;
+
+/**
+ * Read the EXIF orientation (1-8) of a JPEG, 1 if there is none
+ * @param {ArrayBuffer} buffer - File data
+ */
+export function readOrientation(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+
+        // APP1 with "Exif\0\0"
+        if (marker === 0xFFE1 && offset + 8 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            // Broken or cut off EXIF points past the end of the file
+            const tiff = offset + 10;
+            if (tiff + 8 > view.byteLength) return 1;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            if (ifd + 2 > view.byteLength) return 1;
+            const entries = view.getUint16(ifd, little);
+
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 12 > view.byteLength) break;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    const value = view.getUint16(entry + 8, little);
+                    return value >= 1 && value <= 8 ? value : 1;
+                }
+            }
+            return 1;
+        }
+
+        // Start of scan, no more metadata
+        if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+/**
+ * Load a blob into an <img>
+ */
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Image decode failed'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Whether the browser already applies EXIF orientation when drawing images.
+ * Tested with a 2x1 JPEG tagged as rotated 90 degrees.
+ */
+async function browserAppliesOrientation() {
+    if (orientationSupport !== null) return orientationSupport;
+
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 1;
+        const jpeg = new Uint8Array(await new Promise(resolve => {
+            canvas.toBlob(blob => resolve(blob.arrayBuffer()), 'image/jpeg');
+        }));
+
+        // APP1 segment: Exif, big endian TIFF, one IFD entry: Orientation = 6
+        const exif = new Uint8Array([
+            0xFF, 0xE1, 0x00, 0x22,
+            0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+            0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+            0x00, 0x01,
+            0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00
+        ]);
+        const tagged = new Blob([jpeg.slice(0, 2), exif, jpeg.slice(2)], { type: 'image/jpeg' });
+        const img = await loadImage(tagged);
+        orientationSupport = img.naturalWidth === 1;
+    } catch (e) {
+        orientationSupport = true;
+    }
+    return orientationSupport;
+}
+
+/**
+ * Whether canvas can encode WebP
+ */
+function canEncodeWebp() {
+    if (webpSupport === null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        webpSupport = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    }
+    return webpSupport;
+}
+
+/**
+ * Replace the extension of a filename to match a MIME type
+ */
+export function filenameForType(name, type) {
+    const extension = EXTENSIONS[type];
+    if (!extension) return name;
+    const base = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+    return `${base || 'image'}.${extension}`;
+}
+
+/**
+ * Prepare an image for sending
+ * @param {Blob} blob - Photo or gallery file
+ * @param {string} name - Filename
+ * @param {object} options - Overrides for IMAGE_DEFAULTS
+ * @returns {Promise<{blob: Blob, name: string}>}
+ */
+export async function prepareImage(blob, name, options = {}) {
+    const { maxDimension, quality, format } = { ...IMAGE_DEFAULTS, ...options };
+
+    // Re-encoding would lose the animation, GIFs carry no location data
+    if (blob.type === 'image/gif') {
+        return { blob, name };
+    }
+
+    let img;
+    try {
+        img = await loadImage(blob);
+    } catch (e) {
+        const error = new Error(`Unsupported image format: ${blob.type || name}`);
+        error.code = 'unsupported_format';
+        throw error;
+    }
+
+    // Rotate ourselves only if the browser did not
+    const orientation = (await browserAppliesOrientation())
+        ? 1
+        : readOrientation(await blob.arrayBuffer());
+    const swap = orientation >= 5;
+    const width = swap ? img.naturalHeight : img.naturalWidth;
+    const height = swap ? img.naturalWidth : img.naturalHeight;
+
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+    }
+    ctx.drawImage(img, 0, 0);
+
+    // Drawing to a canvas drops all metadata, encoding picks the output format
+    let type = format;
+    if (ALPHA_TYPES.includes(blob.type)) {
+        type = canEncodeWebp() ? 'image/webp' : 'image/png';
+    }
+
+    const output = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    if (!output) throw new Error('Image encode failed');
+
+    return { blob: output, name: filenameForType(name, output.type) };
+}
@@ -2,84 +2,287 @@
  * Tahta Connect - Main Application
  */
 
-import { FirebaseSignaling } from './firebase.js';
+import { config } from './config.js';
+import { createSignaling } from './signaling.js';
 import { WebRTCClient } from './webrtc.js';
+import { SendQueue, ItemStatus } from './queue.js';
+import { PointerPad } from './pointer.js';
+import { prepareImage } from './imaging.js';
+import { AnnotationEditor } from './annotate.js';
+import { CornerEditor, detectCorners, warpPerspective, enhance, drawFitted } from './scanner.js';
+import { Pairing, isValidPin, PIN_LENGTH } from './pairing.js';
+import { SecureSignaling, readSecret, deriveKeys } from './secure-signaling.js';
+import { initI18n, t, translatePage, getLocale } from './i18n.js';
+import { DOCUMENT_DEFAULTS, DOCUMENT_ACCEPT, describeDocument, readSnippet, formatSize } from './documents.js';
+import { MAX_NOTE_LENGTH, parseNote, renderNote, htmlToNote, applyFormat } from './notes.js';
+import { PushToTalk } from './talk.js';
+import { AUDIO_DEFAULTS, AUDIO_TYPES, VIDEO_DEFAULTS, VIDEO_TYPES, ClipRecorder, pickRecordingType, formatDuration } from './recording.js';
+import { MIN_CLIP_DURATION, decodeAudio, waveformPeaks, drawWaveform, trimToWav } from './audio-clip.js';
+import { Capability, ReceiptStatus } from './protocol.js';
+import { History, HistoryStatus, isResendable } from './history.js';
+import { MAX_NAME_LENGTH, loadParticipant, normalizeName, saveName } from './participant.js';
+import { QuestionKind, parseQuestion, answerValue, isCorrect } from './questions.js';
+import { RemoteControl, RemoteTarget, parseYoutubeUrl } from './remote.js';
 
 // State
+let roomId = null;
+let participant = null;         // { id, name } of this phone in the room
+let afterName = null;           // What the name view continues with
+let pairing = null;
 let signaling = null;
 let rtc = null;
+let connectionError = null;     // Error that stopped the connection, decides what retry does
 let videoStream = null;
-let mediaRecorder = null;
-let audioChunks = [];
-let audioTimer = null;
-let audioSeconds = 0;
+let audioStream = null;
+let audioRecorder = null;
+let audioClip = null;           // { blob, ext, url, buffer, peaks, duration, start, end } in the preview
+let audioMode = 'live';         // 'live' (push to talk) or 'record'
+let talk = null;
 let facingMode = 'environment';
+let cameraMode = 'photo';       // 'photo' or 'video'
+let videoRecorder = null;
+let videoClip = null;           // { blob, ext, url, duration, start, end } in the preview
 let capturedBlob = null;
+let capturedName = 'photo.jpg';
+let photoSource = 'camera';     // 'camera' or 'gallery', decides what "retake" does
+let liveStreaming = false;
+let pointerPad = null;
+let cornerEditor = null;
+let scan = null;  // { bitmap, original, corners, page, enhance }
+let sendQueue = null;
+let currentView = null;
+let hasConnected = false;
+const queueThumbs = new Map();  // item id -> { file, url }
+let annotateEditor = null;
+let annotateTarget = null;      // { done(blob), cancel() }
+let pendingDocument = null;     // { file, info } picked for sending
+let sentHistory = null;
+const historyThumbs = [];       // object URLs of the history list
+const connectedWaiters = [];    // whenConnected() resolvers
+let flushingOutbox = false;
+let activeQuestion = null;      // { question, value, revealed } shown in the question view
+let questionReturn = 'main';    // View the question interrupted
+let remote = null;
+let remoteSliding = null;       // 'seek' or 'volume' while a slider is dragged, state updates skip it
+let remoteTicker = null;
 
 // Views
 const views = {
     error: null,
+    name: null,
+    pin: null,
+    pairing: null,
     main: null,
     camera: null,
+    scan: null,
     photo: null,
+    videoPreview: null,
+    document: null,
+    annotate: null,
+    queue: null,
+    talk: null,
     audio: null,
+    audioPreview: null,
     youtube: null,
     link: null,
+    note: null,
+    pointer: null,
+    remote: null,
+    history: null,
+    question: null,
     progress: null,
     success: null
 };
 
 // Initialize
-$(document).ready(() => {
+$(document).ready(async () => {
     // Cache views
     views.error = $('#error-view');
+    views.name = $('#name-view');
+    views.pin = $('#pin-view');
+    views.pairing = $('#pairing-view');
     views.main = $('#main-view');
     views.camera = $('#camera-view');
+    views.scan = $('#scan-view');
     views.photo = $('#photo-view');
+    views.videoPreview = $('#video-preview-view');
+    views.document = $('#document-view');
+    views.annotate = $('#annotate-view');
+    views.queue = $('#queue-view');
+    views.talk = $('#talk-view');
     views.audio = $('#audio-view');
+    views.audioPreview = $('#audio-preview-view');
     views.youtube = $('#youtube-view');
     views.link = $('#link-view');
+    views.note = $('#note-view');
+    views.pointer = $('#pointer-view');
+    views.remote = $('#remote-view');
+    views.history = $('#history-view');
+    views.question = $('#question-view');
     views.progress = $('#progress-view');
     views.success = $('#success-view');
 
-    // Get room from URL
+    // Get room and pairing token from URL
     const params = new URLSearchParams(window.location.search);
-    const roomId = params.get('room');
+    roomId = params.get('room');
+    const token = params.get('token');
+
+    await initI18n(params);
 
     if (!roomId) {
-        showError('Gecersiz baglanti. QR kodu tekrar okutun.');
+        showError(t('error.invalidLink'));
         return;
     }
 
-    // Connect
-    connect(roomId);
+    participant = loadParticipant(roomId);
+    updateNameChip();
+
+    sentHistory = new History(roomId);
+    sentHistory.recoverInterrupted().then(updateOutbox).catch(e => {
+        console.error(e);
+        updateOutbox();
+    });
+
+    // The token works only once, keep it out of the history and address bar
+    if (token) {
+        params.delete('token');
+        history.replaceState(null, '', `${location.pathname}?${params}${location.hash}`);
+    }
+
+    // Connect, or ask for the PIN shown on the board; the name comes first
+    const start = token ? () => connect(token) : showPin;
+    if (participant.name) {
+        start();
+    } else {
+        showName(start);
+    }
 
     // Event handlers
     $('#btn-camera').click(openCamera);
     $('#btn-gallery').click(() => $('#file-input').click());
-    $('#btn-audio').click(startRecording);
+    $('#btn-audio').click(openAudio);
+    $('#btn-document').click(() => $('#document-input').click());
     $('#btn-pdf').click(requestPdf);
     $('#btn-youtube').click(openYoutube);
     $('#btn-link').click(openLink);
+    $('#btn-note').click(openNote);
+    $('#btn-pointer').click(openPointer);
     $('#btn-capture').click(capture);
     $('#btn-cancel-camera').click(closeCamera);
     $('#btn-switch-camera').click(switchCamera);
+    $('#btn-live').click(toggleLive);
+    $('#camera-mode .segment').click(e => setCameraMode($(e.currentTarget).data('cameraMode')));
+    $('#video-trim-start, #video-trim-end').on('input', onVideoTrimInput);
+    $('#video-player').on('play', onVideoPlay).on('timeupdate', onVideoTimeUpdate);
+    $('#btn-video-retake').click(retakeVideo);
+    $('#btn-send-video').click(sendVideo);
+    $('#btn-scan-apply').click(applyScan);
+    $('#btn-scan-back').click(scanBack);
+    $('#scan-enhance .segment').click(e => setScanEnhance($(e.currentTarget).data('enhance')));
     $('#btn-send-photo').click(sendPhoto);
     $('#btn-retake').click(retake);
+    $('#btn-edit-photo').click(editPhoto);
+    $('#annotate-view [data-tool]').click(e => setAnnotateTool($(e.currentTarget).data('tool')));
+    $('#annotate-view .swatch').click(e => setAnnotateColor($(e.currentTarget).data('color')));
+    $('#btn-annotate-rotate').click(() => annotateEditor.rotate());
+    $('#btn-annotate-undo').click(() => annotateEditor.undo());
+    $('#btn-annotate-redo').click(() => annotateEditor.redo());
+    $('#btn-annotate-cancel').click(() => finishAnnotate(false));
+    $('#btn-annotate-done').click(() => finishAnnotate(true));
     $('#btn-stop-audio').click(stopRecording);
     $('#btn-cancel-audio').click(cancelRecording);
+    $('#audio-trim-start, #audio-trim-end').on('input', onTrimInput);
+    $('#btn-audio-play').click(toggleAudioPlay);
+    $('#audio-player').on('play', () => setAudioPlaying(true));
+    $('#audio-player').on('pause ended', () => setAudioPlaying(false));
+    $('#btn-audio-rerecord').click(rerecord);
+    $('#btn-cancel-audio-preview').click(cancelAudioPreview);
+    $('#btn-send-audio').click(sendRecording);
+    $('.audio-mode .segment').click(e => setAudioMode($(e.currentTarget).data('audioMode')));
+    $('#btn-talk').on('pointerdown', e => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        pressTalk();
+    });
+    $('#btn-talk').on('pointerup pointercancel lostpointercapture', releaseTalk);
+    $('#btn-talk').on('contextmenu', e => e.preventDefault());
+    $('#btn-close-talk').click(closeTalk);
     $('#btn-cancel-youtube').click(() => showView('main'));
     $('#btn-send-youtube').click(sendYoutube);
     $('#btn-cancel-link').click(() => showView('main'));
     $('#btn-send-link').click(sendLink);
-    $('#btn-retry').click(() => location.reload());
+    $('#note-view [data-format]').click(e => formatNote($(e.currentTarget).data('format')));
+    $('#note-mode .segment').click(e => setNoteMode($(e.currentTarget).data('mode')));
+    $('#note-input').attr('maxlength', MAX_NOTE_LENGTH).on('paste', onNotePaste);
+    $('#btn-note-paste').click(pasteClipboard);
+    $('#btn-cancel-note').click(() => showView('main'));
+    $('#btn-send-note').click(sendNote);
+    $('#btn-close-pointer').click(closePointer);
+    $('#pointer-view .segment').click(e => setPointerMode($(e.currentTarget).data('mode')));
+    $('#btn-remote').click(openRemote);
+    $('#remote-view [data-remote]').click(e => remoteAction($(e.currentTarget).data('remote')));
+    $('.remote-slider').on('pointerdown', e => {
+        remoteSliding = $(e.currentTarget).data('slider');
+    });
+    $('.remote-slider').on('input', onRemoteSlide);
+    $('.remote-slider').on('change', e => {
+        onRemoteSlide(e);
+        remote.flushSlider();
+        remoteSliding = null;
+    });
+    $('#btn-remote-page').click(jumpToPage);
+    $('#remote-page').on('keydown', e => {
+        if (e.key === 'Enter') jumpToPage();
+    });
+    $('#btn-close-remote').click(closeRemote);
+    $('#btn-history, #outbox-banner').click(openHistory);
+    $('#btn-close-history').click(() => showView('main'));
+    $('#history-list').on('click', '[data-action]', onHistoryAction);
+    $('#question-options').on('click', '.question-option', e => answerQuestion($(e.currentTarget).data('value')));
+    $('#btn-question-submit').click(() => answerQuestion($('#question-input').val()));
+    $('#question-input').on('keydown', e => {
+        if (e.key === 'Enter') answerQuestion($('#question-input').val());
+    });
+    $('#btn-question-done').click(closeQuestion);
+    $('#btn-retry').click(retry);
+    $('#btn-name').click(() => showName(() => showView('main')));
+    $('#btn-save-name').click(submitName);
+    $('#btn-cancel-name').click(cancelName);
+    $('#name-input').attr('maxlength', MAX_NAME_LENGTH).on('keydown', e => {
+        if (e.key === 'Enter') submitName();
+    });
+    $('#btn-pin-connect').click(submitPin);
+    $('#pin-input').on('keydown', e => {
+        if (e.key === 'Enter') submitPin();
+    });
+    $('#btn-pairing-pin').click(showPin);
     $('#file-input').change(handleFile);
+    $('#document-input').attr('accept', DOCUMENT_ACCEPT).change(handleDocument);
+    $('#btn-cancel-document').click(() => showView('main'));
+    $('#btn-send-document').click(sendDocument);
+    $('#btn-queue-add').click(() => $('#file-input').click());
+    $('#btn-queue-done').click(closeQueue);
+    $('#queue-list').on('click', '[data-action]', onQueueAction);
 });
 
 // Show a view
+// While a question is on screen the view is only remembered for when it closes,
+// an error replaces the question since it can no longer be answered
 function showView(name) {
+    if (activeQuestion && currentView === 'question' && name !== 'question') {
+        if (name !== 'error') {
+            questionReturn = name;
+            return;
+        }
+        activeQuestion = null;
+    }
+
     Object.values(views).forEach(v => v.addClass('hidden'));
     if (views[name]) views[name].removeClass('hidden');
+    currentView = name;
+
+    // The remote's position only moves on while it is on screen
+    clearInterval(remoteTicker);
+    remoteTicker = name === 'remote' ? setInterval(updateRemotePosition, 500) : null;
 }
 
 // Update status
@@ -91,48 +294,251 @@ function setStatus(state, text) {
 // Show error
 function showError(message) {
     $('#error-text').text(message);
-    setStatus('error', 'Hata');
+    setStatus('error', t('status.error'));
     showView('error');
 }
 
 // Connect to Tahta
-async function connect(roomId) {
-    setStatus('connecting', 'Baglaniyor');
+// @param {string} token - Pairing token from the QR link or PIN from the board
+async function connect(token) {
+    setStatus('connecting', t('status.connecting'));
+    closeConnection();
 
     try {
-        signaling = new FirebaseSignaling(roomId);
+        signaling = await createSignaling(roomId, participant.id, config);
+
+        // Seal signaling records with the secret from the QR link
+        const secret = readSecret(location.hash);
+        if (secret) {
+            signaling = new SecureSignaling(signaling, await deriveKeys(secret, roomId));
+        }
 
         const exists = await signaling.checkRoom();
         if (!exists) {
-            showError('Tahta bulunamadi. QR kodu tekrar okutun.');
+            showError(t('error.roomNotFound'));
             return;
         }
 
-        rtc = new WebRTCClient(signaling);
+        pairing = new Pairing(roomId, token);
+        await pairing.check(await signaling.getPairing());
+        signaling.onPairingResult(onPairingResult);
+        await signaling.setName(participant.name);
+
+        rtc = new WebRTCClient(signaling, {
+            iceServers: config.iceServers,
+            iceTransportPolicy: config.iceTransportPolicy,
+            pairing: pairing,
+            verifyFingerprint: Boolean(secret),
+            participant: participant
+        });
 
         rtc.onConnected = () => {
-            setStatus('connected', 'Bagli');
-            showView('main');
+            setStatus('connected', t('status.connected'));
+            applyCapabilities();
+            connectedWaiters.splice(0).forEach(resolve => resolve());
+            flushOutbox();
+            watchApprovals();
+
+            // A question answered before the reconnect stays until the board closes it,
+            // unless its hello says the question is over
+            if (activeQuestion && activeQuestion.question.id !== rtc.openQuestionId) closeQuestion();
+
+            // After a reconnect the user stays where they were
+            if (!hasConnected || currentView === 'error') showView('main');
+            hasConnected = true;
         };
 
         rtc.onDisconnected = () => {
-            setStatus('error', 'Baglanti kesildi');
+            setStatus('error', t('status.disconnected'));
+        };
+
+        rtc.onReconnecting = () => {
+            setStatus('connecting', t('status.reconnecting'));
         };
 
         rtc.onProgress = (p) => {
             $('#progress-fill').css('width', (p * 100) + '%');
         };
 
-        rtc.onError = () => {
-            showError('Baglanti hatasi.');
+        rtc.onApproval = onApproval;
+        rtc.onQuestion = showQuestion;
+        rtc.onQuestionReveal = revealQuestion;
+        rtc.onQuestionClose = (msg) => {
+            if (activeQuestion && activeQuestion.question.id === msg.questionId) closeQuestion();
+        };
+
+        // The remote keeps the board's state even while its view is closed
+        remote = new RemoteControl(rtc);
+        remote.onState = renderRemote;
+        rtc.onControlState = state => remote.update(state);
+
+        rtc.onError = (error) => {
+            connectionError = error;
+            if (error && error.details) console.warn('Connection details:', error.details);
+            showError(connectionErrorText(error));
         };
 
         await rtc.connect();
 
     } catch (e) {
         console.error(e);
-        showError('Baglanti kurulamadi.');
+        if (e.reason) {
+            closeConnection();
+            showPairingError(e.reason);
+        } else {
+            showError(t('error.connectFailed'));
+        }
+    }
+}
+
+// Drop the current connection attempt, e.g. before pairing again with a PIN
+function closeConnection() {
+    if (remote) remote.close();
+    remote = null;
+    if (rtc) {
+        rtc.disconnect();
+    } else if (signaling) {
+        signaling.cleanup();
+    }
+    rtc = null;
+    connectionError = null;
+    signaling = null;
+}
+
+// Pairing
+// Tahta checked the proof sent with our offer
+function onPairingResult(result) {
+    if (!pairing || result.session !== pairing.session || result.ok) return;
+
+    // Renegotiating with the same token would be rejected again
+    closeConnection();
+    showPairingError(result.reason);
+}
+
+function showPairingError(reason) {
+    const known = ['expired', 'used', 'invalid', 'missing', 'locked'].includes(reason) ? reason : 'invalid';
+    $('#pairing-title').text(t(`pairing.${known}Title`));
+    $('#pairing-text').text(t(`pairing.${known}Text`));
+    setStatus('error', t('status.pairingFailed'));
+    showView('pairing');
+}
+
+// Display name
+// @param {Function} next - Called once a name is saved
+function showName(next) {
+    afterName = next;
+    $('#name-input').val(participant.name);
+    $('#name-hint').text(t('name.hint'));
+    // The first time there is nothing to go back to
+    $('#btn-cancel-name').toggleClass('hidden', !participant.name);
+    showView('name');
+    $('#name-input').focus();
+}
+
+function submitName() {
+    const name = normalizeName($('#name-input').val());
+    if (!name) {
+        $('#name-hint').text(t('name.required'));
+        return;
+    }
+
+    participant.name = name;
+    saveName(name);
+    updateNameChip();
+
+    // Already connected: Tahta shows the new name from now on
+    if (signaling) signaling.setName(name);
+    if (rtc) rtc.setParticipantName(name);
+
+    const next = afterName;
+    afterName = null;
+    next();
+}
+
+function cancelName() {
+    if (!participant.name) return;
+    afterName = null;
+    showView('main');
+}
+
+function updateNameChip() {
+    $('#btn-name').text(t('name.chip', { name: participant.name }));
+}
+
+function showPin() {
+    $('#pin-input').val('');
+    $('#pin-hint').text(t('pairing.pinHint', { length: PIN_LENGTH }));
+    setStatus('connecting', t('status.waitingPin'));
+    showView('pin');
+    $('#pin-input').focus();
+}
+
+function submitPin() {
+    const pin = $('#pin-input').val().trim();
+    if (!isValidPin(pin)) {
+        $('#pin-hint').text(t('pairing.pinInvalid', { length: PIN_LENGTH }));
+        return;
+    }
+    connect(pin);
+}
+
+// Message for a connection error from WebRTCClient
+function connectionErrorText(error) {
+    switch (error && error.code) {
+        case 'no_relay_candidates':
+            return t('error.noRelay');
+        case 'ice_failed':
+            return t('error.iceFailed');
+        case 'protocol_unsupported':
+            return t('error.protocol');
+        case 'fingerprint_mismatch':
+            return t('error.fingerprint');
+        case 'sdp_error':
+            return t('error.sdp');
+        default:
+            return t('error.connection');
+    }
+}
+
+// Show only the features the connected board advertised
+function applyCapabilities() {
+    $('[data-capability]').each((_, el) => {
+        $(el).toggleClass('hidden', !rtc.supports(el.dataset.capability));
+    });
+    $('#no-capabilities').toggleClass('hidden', $('.action-card:not(.hidden)').length > 0);
+}
+
+// Retry after an error
+// Only transport errors reconnect: a board that speaks another protocol or
+// shows another fingerprint, or a pairing that is used up, needs a new pairing
+async function retry() {
+    if (!rtc) {
+        location.reload();
+        return;
+    }
+
+    const code = connectionError && connectionError.code;
+    if (code === 'protocol_unsupported' || code === 'fingerprint_mismatch') {
+        closeConnection();
+        showPin();
+        return;
+    }
+
+    try {
+        await pairing.check(await signaling.getPairing());
+    } catch (e) {
+        if (e.reason) {
+            closeConnection();
+            showPairingError(e.reason);
+            return;
+        }
+        // Signaling is unreachable too, the reconnect waits for it
+        console.warn('Could not check the pairing:', e);
     }
+
+    connectionError = null;
+    setStatus('connecting', t('status.reconnecting'));
+    rtc.reconnect();
 }
 
 // Camera
@@ -140,34 +546,62 @@ async function openCamera() {
     try {
         videoStream = await navigator.mediaDevices.getUserMedia({
             video: { facingMode, width: { ideal: 1280 }, height: { ideal: 960 } },
-            audio: false
+            audio: cameraMode === 'video'
         });
         document.getElementById('camera-preview').srcObject = videoStream;
+        updateCameraMode();
         showView('camera');
     } catch (e) {
-        alert('Kamera erisimi reddedildi.');
+        alert(t('error.cameraDenied'));
     }
 }
 
 function closeCamera() {
+    cancelVideoRecording();
+    stopLive();
     stopCamera();
     showView('main');
 }
 
 function stopCamera() {
     if (videoStream) {
-        videoStream.getTracks().forEach(t => t.stop());
+        videoStream.getTracks().forEach(track => track.stop());
         videoStream = null;
     }
 }
 
 async function switchCamera() {
     facingMode = facingMode === 'environment' ? 'user' : 'environment';
+    await reopenCamera();
+}
+
+// Photos need no microphone, videos do
+async function setCameraMode(mode) {
+    if (mode === cameraMode || videoRecorder) return;
+    cameraMode = mode;
+    await reopenCamera();
+}
+
+function updateCameraMode() {
+    $('#camera-mode .segment').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('cameraMode') === cameraMode);
+    });
+    $('#btn-capture').toggleClass('video', cameraMode === 'video');
+}
+
+// Open the camera again with new settings
+async function reopenCamera() {
     stopCamera();
     await openCamera();
+
+    // Keep the live stream going with the new track
+    if (liveStreaming && videoStream) {
+        await rtc.replaceStreamTrack(videoStream.getVideoTracks()[0]);
+    }
 }
 
-function capture() {
+// Draw the current camera frame into a JPEG blob
+function grabFrame() {
     const video = document.getElementById('camera-preview');
     const canvas = document.createElement('canvas');
     canvas.width = video.videoWidth;
@@ -180,219 +614,1705 @@ function capture() {
     }
     ctx.drawImage(video, 0, 0);
 
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+}
+
+async function capture() {
+    if (cameraMode === 'video') {
+        await toggleVideoRecording();
+        return;
+    }
+    if (liveStreaming) {
+        freezeAndSend();
+        return;
+    }
+
+    const blob = await grabFrame();
     stopCamera();
+    openScanner(blob);
+}
 
-    canvas.toBlob(blob => {
-        capturedBlob = blob;
-        $('#photo-preview').attr('src', URL.createObjectURL(blob));
-        showView('photo');
-    }, 'image/jpeg', 0.9);
+function showPhoto(blob, source = 'camera', name = 'photo.jpg') {
+    capturedBlob = blob;
+    capturedName = name;
+    photoSource = source;
+    $('#photo-preview').attr('src', URL.createObjectURL(blob));
+    $('#btn-retake').text(source === 'gallery' ? t('photo.pickAnother') : t('photo.retake'));
+    showView('photo');
 }
 
-function retake() {
-    capturedBlob = null;
-    openCamera();
+// Video clip
+function videoSettings() {
+    return { ...VIDEO_DEFAULTS, ...config.video };
 }
 
-async function sendPhoto() {
-    if (!capturedBlob) return;
-    showView('progress');
-    $('#progress-text').text('Gonderiliyor...');
-    $('#progress-fill').css('width', '0%');
+// Largest clip we send: our own limit, or Tahta's if lower
+function videoMaxSize() {
+    const maxSize = videoSettings().maxSize;
+    const boardLimit = rtc && rtc.limits.maxFileSize;
+    return boardLimit ? Math.min(maxSize, boardLimit) : maxSize;
+}
+
+async function toggleVideoRecording() {
+    if (videoRecorder) {
+        await stopVideoRecording();
+        return;
+    }
+    if (!videoStream) return;
 
+    const settings = videoSettings();
     try {
-        await rtc.sendImage(capturedBlob, 'photo.jpg');
-        showSuccess();
+        const type = pickRecordingType(VIDEO_TYPES);
+        videoRecorder = new ClipRecorder(videoStream, type, settings.maxDuration, settings.bitsPerSecond, videoMaxSize());
+        videoRecorder.onTick = updateVideoTimer;
+        videoRecorder.onLimit = stopVideoRecording;
+        videoRecorder.start();
     } catch (e) {
-        showError('Gonderilemedi.');
+        console.error(e);
+        videoRecorder = null;
+        alert(e.code === 'recording_unsupported' ? t('error.videoUnsupported') : t('error.recordFailed'));
+        return;
     }
-    capturedBlob = null;
+
+    updateVideoTimer(0);
+    setVideoRecording(true);
 }
 
-// Gallery
-async function handleFile(e) {
-    const file = e.target.files[0];
-    if (!file) return;
-    e.target.value = '';
+function updateVideoTimer(seconds) {
+    const max = videoSettings().maxDuration;
+    $('#video-timer').text(max ? `${formatDuration(seconds)} / ${formatDuration(max)}` : formatDuration(seconds));
+}
 
-    showView('progress');
-    $('#progress-text').text('Gonderiliyor...');
-    $('#progress-fill').css('width', '0%');
+// Lock everything that would swap the recorded tracks
+function setVideoRecording(recording) {
+    $('#video-timer').toggleClass('hidden', !recording);
+    $('#btn-capture').toggleClass('recording', recording);
+    $('#btn-switch-camera, #btn-live, #camera-mode .segment').prop('disabled', recording);
+}
+
+// Stop recording and open the preview (also called when the limit is reached)
+async function stopVideoRecording() {
+    if (!videoRecorder) return;
+    const recorder = videoRecorder;
+    videoRecorder = null;
+    setVideoRecording(false);
 
+    let blob;
     try {
-        await rtc.sendImage(file, file.name);
-        showSuccess();
+        blob = await recorder.stop();
     } catch (e) {
-        showError('Gonderilemedi.');
+        console.error(e);
+        alert(t('error.recordFailed'));
+        return;
     }
+
+    await stopLive();
+    stopCamera();
+    openVideoPreview(blob, recorder.type.ext, recorder.duration);
 }
 
-// Audio
-async function startRecording() {
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        mediaRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
-        audioChunks = [];
+function cancelVideoRecording() {
+    if (videoRecorder) videoRecorder.cancel();
+    videoRecorder = null;
+    setVideoRecording(false);
+}
 
-        mediaRecorder.ondataavailable = e => {
-            if (e.data.size > 0) audioChunks.push(e.data);
-        };
+// Recorded clip preview: watch, pick the range the board plays, retake
+// The range is not cut out, the whole recording is sent (see transfer.js)
+function openVideoPreview(blob, ext, duration) {
+    videoClip = { blob, ext, url: URL.createObjectURL(blob), duration, start: 0, end: duration };
 
-        mediaRecorder.start(100);
-        audioSeconds = 0;
-        updateTimer();
-        audioTimer = setInterval(() => {
-            audioSeconds++;
-            updateTimer();
-        }, 1000);
+    document.getElementById('video-player').src = videoClip.url;
+    $('#video-trim-start, #video-trim-end').attr('max', duration);
+    $('#video-trim-start').val(0);
+    $('#video-trim-end').val(duration);
+    updateVideoTrim();
 
-        showView('audio');
-    } catch (e) {
-        alert('Mikrofon erisimi reddedildi.');
+    const tooLarge = blob.size > videoMaxSize();
+    $('#video-error').toggleClass('hidden', !tooLarge)
+        .text(tooLarge ? t('video.tooLarge', { max: formatSize(videoMaxSize(), getLocale()) }) : '');
+    $('#btn-send-video').prop('disabled', tooLarge);
+
+    showView('videoPreview');
+}
+
+function onVideoTrimInput(e) {
+    const $start = $('#video-trim-start');
+    const $end = $('#video-trim-end');
+    let start = Number($start.val());
+    let end = Number($end.val());
+
+    // Keep the handles apart, the one being dragged gives way
+    if (end - start < MIN_CLIP_DURATION) {
+        if (e.currentTarget.id === 'video-trim-start') {
+            start = Math.max(0, end - MIN_CLIP_DURATION);
+            $start.val(start);
+        } else {
+            end = Math.min(videoClip.duration, start + MIN_CLIP_DURATION);
+            $end.val(end);
+        }
     }
+
+    videoClip.start = start;
+    videoClip.end = end;
+    updateVideoTrim();
+
+    // Show the frame at the handle that moved
+    const player = document.getElementById('video-player');
+    player.pause();
+    player.currentTime = e.currentTarget.id === 'video-trim-start' ? start : end;
 }
 
-function updateTimer() {
-    const m = Math.floor(audioSeconds / 60);
-    const s = audioSeconds % 60;
-    $('#audio-timer').text(`${m}:${s.toString().padStart(2, '0')}`);
+function updateVideoTrim() {
+    const { blob, start, end } = videoClip;
+    $('#video-trim-label').text(t('video.summary', {
+        range: t('audio.trimLabel', {
+            start: formatDuration(start),
+            end: formatDuration(end),
+            length: formatDuration(end - start)
+        }),
+        size: formatSize(blob.size, getLocale())
+    }));
 }
 
-function cancelRecording() {
-    clearInterval(audioTimer);
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-        mediaRecorder.stop();
-        mediaRecorder.stream.getTracks().forEach(t => t.stop());
+// Play only the trimmed range
+function onVideoPlay() {
+    const player = document.getElementById('video-player');
+    if (!videoClip) return;
+    if (player.currentTime < videoClip.start || player.currentTime >= videoClip.end) {
+        player.currentTime = videoClip.start;
     }
-    showView('main');
 }
 
-async function stopRecording() {
-    clearInterval(audioTimer);
+function onVideoTimeUpdate() {
+    const player = document.getElementById('video-player');
+    if (videoClip && !player.paused && player.currentTime >= videoClip.end) player.pause();
+}
+
+function closeVideoPreview() {
+    const player = document.getElementById('video-player');
+    player.pause();
+    player.removeAttribute('src');
+    if (videoClip) URL.revokeObjectURL(videoClip.url);
+    videoClip = null;
+}
 
-    return new Promise(resolve => {
-        mediaRecorder.onstop = async () => {
-            const blob = new Blob(audioChunks, { type: 'audio/webm' });
+function retakeVideo() {
+    closeVideoPreview();
+    openCamera();
+}
 
-            showView('progress');
-            $('#progress-text').text('Gonderiliyor...');
-            $('#progress-fill').css('width', '0%');
+// Seconds left for a transfer, from its progress so far
+function remainingSeconds(startedAt, fraction) {
+    if (fraction <= 0) return null;
+    const elapsed = (performance.now() - startedAt) / 1000;
+    return elapsed * (1 - fraction) / fraction;
+}
 
-            try {
-                await rtc.sendAudio(blob, 'kayit.webm');
-                showSuccess();
-            } catch (e) {
-                showError('Gonderilemedi.');
-            }
-            resolve();
-        };
+async function sendVideo() {
+    if (!videoClip) return;
+    const { blob, ext, duration, start, end } = videoClip;
+    const trimmed = start > 0 || end < duration;
+    closeVideoPreview();
 
-        mediaRecorder.stop();
-        mediaRecorder.stream.getTracks().forEach(t => t.stop());
-    });
+    showView('progress');
+    $('#progress-text').text(t('common.sending'));
+    $('#progress-fill').css('width', '0%');
+
+    const startedAt = performance.now();
+    const onProgress = p => {
+        $('#progress-fill').css('width', (p * 100) + '%');
+        const remaining = remainingSeconds(startedAt, p);
+        if (remaining !== null) $('#progress-text').text(t('video.eta', { time: formatDuration(Math.ceil(remaining)) }));
+    };
+
+    try {
+        const status = await sendTracked({ kind: 'video', name: `video.${ext}`, blob, clip: trimmed ? { start, end } : null }, onProgress);
+        showSuccess(status, remoteAfter(status));
+    } catch (e) {
+        console.error(e);
+        showError(sendErrorText(e));
+    }
 }
 
-// YouTube
-function openYoutube() {
-    $('#youtube-input').val('');
-    showView('youtube');
+// Document scan: adjust corners, then pick an enhancement
+async function openScanner(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        scan = { bitmap, original: blob, corners: detectCorners(bitmap), page: null, enhance: 'none' };
+    } catch (e) {
+        console.error(e);
+        showPhoto(blob);
+        return;
+    }
+
+    if (!cornerEditor) {
+        cornerEditor = new CornerEditor(document.getElementById('scan-canvas'));
+    }
+
+    showView('scan');
+    showScanCorners();
 }
 
-function sendYoutube() {
-    const url = $('#youtube-input').val().trim();
-    if (!url) {
-        alert('Lutfen bir YouTube linki girin');
+function showScanCorners() {
+    scan.page = null;
+    $('#scan-enhance').addClass('hidden');
+    $('#scan-hint').text(t('scan.hint')).removeClass('hidden');
+    $('#btn-scan-back').text(t('scan.skip'));
+    $('#btn-scan-apply').text(t('scan.apply'));
+    cornerEditor.setImage(scan.bitmap, scan.corners);
+}
+
+function applyScan() {
+    if (!scan) return;
+
+    if (!scan.page) {
+        scan.corners = cornerEditor.corners;
+        scan.page = warpPerspective(scan.bitmap, scan.corners);
+
+        $('#scan-enhance').removeClass('hidden');
+        $('#scan-hint').addClass('hidden');
+        $('#btn-scan-back').text(t('scan.back'));
+        $('#btn-scan-apply').text(t('scan.use'));
+        setScanEnhance(scan.enhance);
         return;
     }
 
-    // Validate YouTube URL
-    const youtubeRegex = /(?:youtube\.com\/(?:watch\?v=|embed\/|shorts\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
-    const match = url.match(youtubeRegex);
-    if (!match) {
-        alert('Gecersiz YouTube linki');
+    const result = enhance(scan.page, scan.enhance);
+    result.toBlob(blob => {
+        closeScanner();
+        showPhoto(blob);
+    }, 'image/jpeg', 0.9);
+}
+
+function scanBack() {
+    if (!scan) return;
+
+    if (scan.page) {
+        showScanCorners();
         return;
     }
 
-    const videoId = match[1];
+    // Skip scanning, use the photo as taken
+    const original = scan.original;
+    closeScanner();
+    showPhoto(original);
+}
+
+function setScanEnhance(mode) {
+    scan.enhance = mode;
+    $('#scan-enhance .segment').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('enhance') === mode);
+    });
 
-    showView('progress');
-    $('#progress-text').text('Gonderiliyor...');
-    $('#progress-fill').css('width', '50%');
+    const canvas = document.getElementById('scan-canvas');
+    drawFitted(canvas, enhance(scan.page, mode));
+}
+
+function closeScanner() {
+    if (scan) scan.bitmap.close();
+    scan = null;
+}
+
+// Live camera
+async function toggleLive() {
+    if (liveStreaming) {
+        await stopLive();
+        return;
+    }
+    if (!videoStream) return;
 
     try {
-        rtc.sendData('youtube', { url, videoId });
-        $('#progress-fill').css('width', '100%');
-        showSuccess();
+        liveStreaming = true;
+        updateLiveUi();
+        await rtc.startStream(videoStream.getVideoTracks()[0], videoStream);
     } catch (e) {
-        showError('Gonderilemedi.');
+        console.error(e);
+        liveStreaming = false;
+        updateLiveUi();
+        // The track may have been added before the offer failed
+        rtc.stopStream('video').catch(error => console.error(error));
+        alert(t('error.liveFailed'));
     }
 }
 
-// Link
-function openLink() {
-    $('#link-input').val('');
-    $('#link-title').val('');
-    showView('link');
-}
+async function stopLive() {
+    if (!liveStreaming) return;
+    liveStreaming = false;
+    updateLiveUi();
 
-function sendLink() {
-    const url = $('#link-input').val().trim();
-    if (!url) {
-        alert('Lutfen bir link girin');
-        return;
+    try {
+        await rtc.stopStream('video');
+    } catch (e) {
+        console.error(e);
     }
+}
 
-    const title = $('#link-title').val().trim() || url;
+function updateLiveUi() {
+    $('#live-badge').toggleClass('hidden', !liveStreaming);
+    $('#btn-live').toggleClass('active', liveStreaming).text(liveStreaming ? t('camera.stopLive') : t('camera.live'));
+}
 
-    showView('progress');
-    $('#progress-text').text('Gonderiliyor...');
-    $('#progress-fill').css('width', '50%');
+// Freeze the preview and send a still while the live stream continues
+async function freezeAndSend() {
+    const video = document.getElementById('camera-preview');
+    const blob = await grabFrame();
+    video.pause();
+    showCameraToast(t('common.sending'));
+
+    // The still is on its way once written, the receipt is not waited for frozen
+    const onProgress = p => {
+        if (p >= 1) video.play();
+    };
 
     try {
-        rtc.sendData('link', { url, title });
-        $('#progress-fill').css('width', '100%');
-        showSuccess();
+        const status = await sendTracked({ kind: 'image', name: 'photo.jpg', blob }, onProgress);
+        showCameraToast(sendStatusText(status));
     } catch (e) {
-        showError('Gonderilemedi.');
+        showCameraToast(sendErrorText(e));
     }
+    video.play();
 }
 
-// PDF
-function requestPdf() {
-    if (!rtc || !rtc.isConnected) {
-        alert('Baglanti yok');
-        return;
+function showCameraToast(text) {
+    const toast = $('#camera-toast');
+    toast.text(text).removeClass('hidden');
+    clearTimeout(toast.data('timer'));
+    toast.data('timer', setTimeout(() => toast.addClass('hidden'), 1500));
+}
+
+function retake() {
+    capturedBlob = null;
+    if (photoSource === 'gallery') {
+        $('#file-input').click();
+    } else {
+        openCamera();
     }
+}
+
+function editPhoto() {
+    if (!capturedBlob) return;
 
+    openAnnotate(capturedBlob, {
+        done: blob => showPhoto(blob, photoSource, capturedName),
+        cancel: () => showView('photo')
+    });
+}
+
+async function sendPhoto() {
+    if (!capturedBlob) return;
     showView('progress');
-    $('#progress-text').text('PDF hazirlaniyor...');
+    $('#progress-text').text(t('common.sending'));
     $('#progress-fill').css('width', '0%');
 
-    // Set up file received callback
-    rtc.onFileReceived = (type, filename, blob) => {
-        if (type === 'pdf') {
-            showSuccess();
-        }
-    };
-
     try {
-        rtc.requestPdf();
+        const status = await sendTracked({ kind: 'image', name: capturedName, blob: capturedBlob });
+        showSuccess(status);
     } catch (e) {
-        showError('PDF alinamadi.');
+        showError(sendErrorText(e));
     }
+    capturedBlob = null;
 }
 
-// Success
-function showSuccess() {
-    showView('success');
-    setTimeout(() => showView('main'), 1500);
+// Resize, rotate and strip metadata before sending
+async function sendPreparedImage(blob, name, onProgress = null) {
+    const image = await prepareImage(blob, name, config.image);
+    return rtc.sendImage(image.blob, image.name, onProgress);
 }
 
-// Cleanup
-window.addEventListener('beforeunload', () => {
-    stopCamera();
-    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-        mediaRecorder.stop();
+// Gallery
+function handleFile(e) {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+    e.target.value = '';
+
+    // A single picture gets the same preview (and editor) as a camera photo
+    const queueBusy = sendQueue && sendQueue.items.some(i => i.status !== ItemStatus.DONE);
+    if (files.length === 1 && !queueBusy) {
+        showPhoto(files[0], 'gallery', files[0].name);
+        return;
+    }
+
+    if (!sendQueue) {
+        sendQueue = new SendQueue(sendQueuedImage);
+        sendQueue.onChange = renderQueue;
     }
+
+    files.forEach(file => sendQueue.add(file));
+    showView('queue');
+}
+
+async function sendQueuedImage(item, onProgress) {
+    // The queue shows its own waiting items, they are sent once the board is back
+    if (!boardReady()) {
+        item.waiting = true;
+        renderQueue();
+        await whenConnected();
+        item.waiting = false;
+    }
+
+    item.awaitingApproval = false;
+    item.rejected = false;
+    const entry = { kind: 'image', name: item.name, blob: item.file };
+    if (item.historyId === undefined) {
+        item.historyId = await sentHistory.add(entry);
+    } else {
+        // Retry, the file may have been edited since
+        await sentHistory.update(item.historyId, { status: HistoryStatus.SENDING, blob: item.file });
+    }
+    const status = await deliverTracked(item.historyId, entry, onProgress);
+    item.awaitingApproval = status === HistoryStatus.PENDING;
+}
+
+function renderQueue() {
+    const list = $('#queue-list');
+    const ids = new Set(sendQueue.items.map(i => i.id));
+
+    // Drop rows and thumbnails of removed items
+    list.children().each((_, el) => {
+        if (!ids.has(Number(el.dataset.id))) $(el).remove();
+    });
+    queueThumbs.forEach((thumb, id) => {
+        if (!ids.has(id)) {
+            URL.revokeObjectURL(thumb.url);
+            queueThumbs.delete(id);
+        }
+    });
+
+    sendQueue.items.forEach(item => {
+        let row = list.children(`[data-id="${item.id}"]`);
+        if (row.length === 0) {
+            row = $(`
+                <li class="queue-item" data-id="${item.id}">
+                    <img class="queue-thumb" alt="">
+                    <div class="queue-info">
+                        <div class="queue-name"></div>
+                        <div class="queue-status"></div>
+                        <div class="progress-bar"><div class="progress-fill"></div></div>
+                    </div>
+                    <button class="btn-icon hidden" data-action="edit" data-i18n-title="common.edit">&#9998;</button>
+                    <button class="btn-icon hidden" data-action="retry" data-i18n-title="common.retry">&#8635;</button>
+                    <button class="btn-icon hidden" data-action="remove" data-i18n-title="common.remove">&times;</button>
+                </li>
+            `);
+            translatePage(row[0]);
+            row.find('.queue-name').text(item.name);
+            list.append(row);
+        }
+
+        // New item, or file replaced by the editor
+        const thumb = queueThumbs.get(item.id);
+        if (!thumb || thumb.file !== item.file) {
+            if (thumb) URL.revokeObjectURL(thumb.url);
+            queueThumbs.set(item.id, { file: item.file, url: URL.createObjectURL(item.file) });
+            row.find('.queue-thumb').attr('src', queueThumbs.get(item.id).url);
+        }
+
+        row.removeClass('pending sending done failed').addClass(item.status);
+        row.find('.queue-status').text(queueStatusText(item));
+        row.find('.progress-fill').css('width', (item.progress * 100) + '%');
+        row.find('[data-action="edit"]').toggleClass('hidden',
+            item.status === ItemStatus.SENDING || item.status === ItemStatus.DONE);
+        row.find('[data-action="retry"]').toggleClass('hidden', item.status !== ItemStatus.FAILED);
+        row.find('[data-action="remove"]').toggleClass('hidden', item.status === ItemStatus.SENDING);
+    });
+
+    const done = sendQueue.count(ItemStatus.DONE);
+    const failed = sendQueue.count(ItemStatus.FAILED);
+    let text = t('queue.summary', { done: done, total: sendQueue.items.length });
+    if (failed > 0) text += t('queue.failedSuffix', { count: failed });
+    $('#queue-text').text(text);
+    $('#queue-fill').css('width', (sendQueue.progress * 100) + '%');
+}
+
+function queueStatusText(item) {
+    if (item.waiting) return t('queue.waiting');
+    switch (item.status) {
+        case ItemStatus.PENDING: return t('queue.pending');
+        case ItemStatus.SENDING: return t('queue.sending', { percent: Math.round(item.progress * 100) });
+        case ItemStatus.DONE:
+            if (item.rejected) return t('queue.rejected');
+            return item.awaitingApproval ? t('queue.approval') : t('queue.done');
+        case ItemStatus.FAILED:
+            switch (item.error && item.error.code) {
+                case 'unsupported_format': return t('queue.unsupported');
+                case 'item_rejected': return t('queue.rejected');
+                default: return t('queue.failed');
+            }
+    }
+    return '';
+}
+
+function onQueueAction(e) {
+    const button = $(e.currentTarget);
+    const id = Number(button.closest('.queue-item').data('id'));
+
+    if (button.data('action') === 'retry') {
+        sendQueue.retry(id);
+    } else if (button.data('action') === 'remove') {
+        sendQueue.remove(id);
+    } else if (button.data('action') === 'edit') {
+        editQueueItem(id);
+    }
+}
+
+function editQueueItem(id) {
+    const item = sendQueue.get(id);
+    if (!item || !sendQueue.hold(id)) return;
+
+    openAnnotate(item.file, {
+        done: blob => {
+            sendQueue.release(id, blob);
+            showView('queue');
+        },
+        cancel: () => {
+            sendQueue.release(id);
+            showView('queue');
+        }
+    });
+}
+
+// Documents
+async function handleDocument(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const info = describeDocument(file);
+    const error = documentError(file, info);
+    pendingDocument = error ? null : { file, info };
+
+    $('#document-badge').attr('class', `document-badge ${info ? info.kind : ''}`).text(info ? info.ext : '?');
+    $('#document-name').text(file.name);
+    $('#document-meta').text(formatSize(file.size, getLocale()));
+    $('#document-snippet').addClass('hidden').text('');
+    $('#document-error').toggleClass('hidden', !error).text(error || '');
+    $('#btn-send-document').prop('disabled', Boolean(error));
+    showView('document');
+
+    // Text files get a peek at their first lines
+    if (pendingDocument) {
+        const snippet = await readSnippet(file, info);
+        if (snippet && pendingDocument && pendingDocument.file === file) {
+            $('#document-snippet').text(snippet).removeClass('hidden');
+        }
+    }
+}
+
+// Largest document we send: our own limit, or Tahta's if lower
+function documentMaxSize() {
+    const maxSize = { ...DOCUMENT_DEFAULTS, ...config.document }.maxSize;
+    const boardLimit = rtc && rtc.limits.maxFileSize;
+    return boardLimit ? Math.min(maxSize, boardLimit) : maxSize;
+}
+
+function documentError(file, info) {
+    if (!info) return t('document.unsupported');
+    if (file.size === 0) return t('document.empty');
+    if (file.size > documentMaxSize()) {
+        return t('document.tooLarge', { max: formatSize(documentMaxSize(), getLocale()) });
+    }
+    return null;
+}
+
+async function sendDocument() {
+    if (!pendingDocument) return;
+    const { file, info } = pendingDocument;
+
+    showView('progress');
+    $('#progress-text').text(t('common.sending'));
+    $('#progress-fill').css('width', '0%');
+
+    try {
+        const status = await sendTracked({ kind: 'document', name: file.name, blob: file, mimeType: info.mimeType });
+        pendingDocument = null;
+        showSuccess(status, remoteAfter(status));
+    } catch (e) {
+        console.error(e);
+        showError(sendErrorText(e));
+    }
+}
+
+// Annotate
+async function openAnnotate(blob, target) {
+    if (!annotateEditor) {
+        annotateEditor = new AnnotationEditor(document.getElementById('annotate-canvas'));
+        annotateEditor.onChange = editor => {
+            $('#btn-annotate-undo').prop('disabled', !editor.canUndo);
+            $('#btn-annotate-redo').prop('disabled', !editor.canRedo);
+        };
+        annotateEditor.onTextRequest = () => Promise.resolve(prompt(t('annotate.textPrompt')));
+    }
+
+    annotateTarget = target;
+    setAnnotateTool('pen');
+    showView('annotate');
+
+    try {
+        await annotateEditor.load(blob);
+    } catch (e) {
+        console.error(e);
+        alert(t('error.imageOpenFailed'));
+        finishAnnotate(false);
+    }
+}
+
+function setAnnotateTool(tool) {
+    annotateEditor.setTool(tool);
+    $('#annotate-view [data-tool]').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('tool') === tool);
+    });
+}
+
+function setAnnotateColor(color) {
+    annotateEditor.setColor(color);
+    $('#annotate-view .swatch').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('color') === color);
+    });
+}
+
+async function finishAnnotate(apply) {
+    const target = annotateTarget;
+    annotateTarget = null;
+    if (!target) return;
+
+    if (!apply) {
+        target.cancel();
+        return;
+    }
+
+    let blob;
+    try {
+        blob = await annotateEditor.toBlob();
+    } catch (e) {
+        // Stay in the editor so the drawing can be saved again or dropped
+        console.error(e);
+        annotateTarget = target;
+        alert(t('annotate.saveFailed'));
+        return;
+    }
+    target.done(blob);
+}
+
+function closeQueue() {
+    // Sending continues in the background, only finished items are cleared
+    if (sendQueue) sendQueue.clearDone();
+    showView('main');
+}
+
+// Audio: push to talk by default, a recorded clip if the board has no live audio
+function openAudio() {
+    if (audioMode === 'live' && rtc && rtc.supports(Capability.LIVE_AUDIO)) {
+        openTalk();
+    } else {
+        startRecording();
+    }
+}
+
+async function setAudioMode(mode) {
+    if (mode === audioMode) return;
+    audioMode = mode;
+
+    if (mode === 'live') {
+        discardRecording();
+        await openTalk();
+    } else {
+        await stopTalk();
+        await startRecording();
+    }
+}
+
+function showAudioMode(mode) {
+    $('.audio-mode .segment').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('audioMode') === mode);
+    });
+}
+
+// Push to talk: the microphone track stays on the connection, muted until the button is held
+async function openTalk() {
+    await stopTalk();
+
+    const opening = new PushToTalk(rtc);
+    opening.onLevel = level => $('#talk-level').css('width', `${Math.round(level * 100)}%`);
+
+    try {
+        await opening.open();
+    } catch (e) {
+        console.error(e);
+        alert(e.name === 'NotAllowedError' ? t('error.micDenied') : t('error.talkFailed'));
+        showView('main');
+        return;
+    }
+    talk = opening;
+
+    setTalking(false);
+    showAudioMode('live');
+    showView('talk');
+}
+
+function pressTalk() {
+    if (!talk) return;
+    talk.press();
+    setTalking(true);
+}
+
+function releaseTalk() {
+    if (!talk) return;
+    talk.release();
+    setTalking(false);
+}
+
+function setTalking(active) {
+    $('#btn-talk').toggleClass('active', active);
+    $('#talk-hint').text(active ? t('talk.talking') : t('talk.hold'));
+}
+
+async function stopTalk() {
+    if (!talk) return;
+    const current = talk;
+    talk = null;
+
+    try {
+        await current.close();
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+async function closeTalk() {
+    await stopTalk();
+    showView('main');
+}
+
+// Recorded clip
+async function startRecording() {
+    let type;
+    try {
+        type = pickRecordingType(AUDIO_TYPES);
+        audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        audioRecorder = new ClipRecorder(audioStream, type, audioMaxDuration());
+        audioRecorder.onTick = updateTimer;
+        audioRecorder.onLimit = stopRecording;
+        audioRecorder.start();
+    } catch (e) {
+        console.error(e);
+        discardRecording();
+        alert(recordingErrorText(e));
+        return;
+    }
+
+    updateTimer(0);
+    const max = audioMaxDuration();
+    $('#audio-limit').text(max ? t('audio.limit', { max: formatDuration(max) }) : '');
+    showAudioMode('record');
+    showView('audio');
+}
+
+// Longest clip in seconds, 0 for no limit
+function audioMaxDuration() {
+    return { ...AUDIO_DEFAULTS, ...config.audio }.maxDuration;
+}
+
+function recordingErrorText(error) {
+    if (error.code === 'recording_unsupported') return t('error.recordUnsupported');
+    if (error.name === 'NotAllowedError' || error.name === 'SecurityError') return t('error.micDenied');
+    return t('error.recordFailed');
+}
+
+function updateTimer(seconds) {
+    $('#audio-timer').text(formatDuration(seconds));
+}
+
+function releaseMicrophone() {
+    if (audioStream) audioStream.getTracks().forEach(track => track.stop());
+    audioStream = null;
+}
+
+function discardRecording() {
+    if (audioRecorder) audioRecorder.cancel();
+    audioRecorder = null;
+    releaseMicrophone();
+}
+
+function cancelRecording() {
+    discardRecording();
+    showView('main');
+}
+
+// Stop recording and open the preview (also called when the limit is reached)
+async function stopRecording() {
+    if (!audioRecorder) return;
+    const recorder = audioRecorder;
+    audioRecorder = null;
+
+    let blob;
+    try {
+        blob = await recorder.stop();
+    } catch (e) {
+        console.error(e);
+        showError(t('error.recordFailed'));
+        return;
+    } finally {
+        releaseMicrophone();
+    }
+
+    await openAudioPreview(blob, recorder.type.ext);
+}
+
+// Recorded clip preview: listen, trim, re-record
+async function openAudioPreview(blob, ext) {
+    audioClip = { blob, ext, url: URL.createObjectURL(blob), buffer: null, peaks: null, duration: 0, start: 0, end: 0 };
+    document.getElementById('audio-player').src = audioClip.url;
+
+    try {
+        audioClip.buffer = await decodeAudio(blob);
+        audioClip.peaks = waveformPeaks(audioClip.buffer);
+        audioClip.duration = audioClip.buffer.duration;
+        audioClip.end = audioClip.duration;
+    } catch (e) {
+        // Still playable and sendable, just not trimmable
+        console.warn('Could not decode recording:', e);
+    }
+
+    const trimmable = Boolean(audioClip.buffer);
+    $('#audio-waveform, #audio-preview-view .trim-controls, #audio-trim-label').toggleClass('hidden', !trimmable);
+    $('#audio-trim-start, #audio-trim-end').attr('max', audioClip.duration);
+    $('#audio-trim-start').val(0);
+    $('#audio-trim-end').val(audioClip.duration);
+
+    setAudioPlaying(false);
+    if (trimmable) updateTrim();
+    showView('audioPreview');
+}
+
+function onTrimInput(e) {
+    const $start = $('#audio-trim-start');
+    const $end = $('#audio-trim-end');
+    let start = Number($start.val());
+    let end = Number($end.val());
+
+    // Keep the handles apart, the one being dragged gives way
+    if (end - start < MIN_CLIP_DURATION) {
+        if (e.currentTarget.id === 'audio-trim-start') {
+            start = Math.max(0, end - MIN_CLIP_DURATION);
+            $start.val(start);
+        } else {
+            end = Math.min(audioClip.duration, start + MIN_CLIP_DURATION);
+            $end.val(end);
+        }
+    }
+
+    audioClip.start = start;
+    audioClip.end = end;
+    updateTrim();
+}
+
+// Redraw the waveform and the trim label, position in seconds marks playback
+function updateTrim(position = null) {
+    const { duration, start, end } = audioClip;
+    drawWaveform(document.getElementById('audio-waveform'), audioClip.peaks, {
+        start: start / duration,
+        end: end / duration,
+        position: position === null ? null : position / duration
+    });
+    $('#audio-trim-label').text(t('audio.trimLabel', {
+        start: formatDuration(start),
+        end: formatDuration(end),
+        length: formatDuration(end - start)
+    }));
+}
+
+function toggleAudioPlay() {
+    if (!audioClip) return;
+    const player = document.getElementById('audio-player');
+    if (!player.paused) {
+        player.pause();
+        return;
+    }
+
+    if (audioClip.buffer) player.currentTime = audioClip.start;
+    player.play().catch(e => console.error(e));
+}
+
+function setAudioPlaying(playing) {
+    $('#btn-audio-play').text(playing ? t('audio.pause') : t('audio.play'));
+    if (playing) requestAnimationFrame(trackPlayback);
+}
+
+// Move the playback cursor and stop at the trim end
+function trackPlayback() {
+    const player = document.getElementById('audio-player');
+    if (player.paused || !audioClip) return;
+
+    if (audioClip.buffer) {
+        if (player.currentTime >= audioClip.end) {
+            player.pause();
+            updateTrim();
+            return;
+        }
+        updateTrim(player.currentTime);
+    }
+    requestAnimationFrame(trackPlayback);
+}
+
+function closeAudioPreview() {
+    const player = document.getElementById('audio-player');
+    player.pause();
+    player.removeAttribute('src');
+    if (audioClip) URL.revokeObjectURL(audioClip.url);
+    audioClip = null;
+}
+
+async function rerecord() {
+    closeAudioPreview();
+    await startRecording();
+    // The preview is gone, there is nothing to go back to if the recorder did not start
+    if (!audioRecorder) showView('main');
+}
+
+function cancelAudioPreview() {
+    closeAudioPreview();
+    showView('main');
+}
+
+async function sendRecording() {
+    if (!audioClip) return;
+    const clip = audioClip;
+
+    // Cutting needs a re-encode, an untouched clip goes as recorded
+    const trimmed = clip.buffer && (clip.start > 0 || clip.end < clip.duration);
+    const blob = trimmed ? trimToWav(clip.buffer, clip.start, clip.end) : clip.blob;
+    const ext = trimmed ? 'wav' : clip.ext;
+    closeAudioPreview();
+
+    showView('progress');
+    $('#progress-text').text(t('common.sending'));
+    $('#progress-fill').css('width', '0%');
+
+    try {
+        const status = await sendTracked({ kind: 'audio', name: `kayit.${ext}`, blob });
+        showSuccess(status);
+    } catch (e) {
+        showError(sendErrorText(e));
+    }
+}
+
+// YouTube
+function openYoutube() {
+    $('#youtube-input').val('');
+    showView('youtube');
+}
+
+async function sendYoutube() {
+    const url = $('#youtube-input').val().trim();
+    if (!url) {
+        alert(t('youtube.empty'));
+        return;
+    }
+
+    // Validate YouTube URL, the start time (t=) goes along
+    const video = parseYoutubeUrl(url);
+    if (!video) {
+        alert(t('youtube.invalid'));
+        return;
+    }
+
+    const data = { url: url, videoId: video.videoId };
+    if (video.start) data.start = video.start;
+
+    showView('progress');
+    $('#progress-text').text(t('common.sending'));
+    $('#progress-fill').css('width', '50%');
+
+    try {
+        const status = await sendTracked({ kind: 'youtube', name: url, data: data });
+        $('#progress-fill').css('width', '100%');
+        showSuccess(status, remoteAfter(status));
+    } catch (e) {
+        showError(sendErrorText(e));
+    }
+}
+
+// Link
+function openLink() {
+    $('#link-input').val('');
+    $('#link-title').val('');
+    showView('link');
+}
+
+async function sendLink() {
+    const url = $('#link-input').val().trim();
+    if (!url) {
+        alert(t('link.empty'));
+        return;
+    }
+
+    const title = $('#link-title').val().trim() || url;
+
+    showView('progress');
+    $('#progress-text').text(t('common.sending'));
+    $('#progress-fill').css('width', '50%');
+
+    try {
+        const status = await sendTracked({ kind: 'link', name: title, data: { url, title } });
+        $('#progress-fill').css('width', '100%');
+        showSuccess(status);
+    } catch (e) {
+        showError(sendErrorText(e));
+    }
+}
+
+// Note
+function openNote() {
+    setNoteMode('write');
+    showView('note');
+    $('#note-input').focus();
+}
+
+function setNoteMode(mode) {
+    $('#note-mode .segment').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('mode') === mode);
+    });
+    if (mode === 'preview') {
+        renderNote(parseNote($('#note-input').val()), document.getElementById('note-preview'));
+    }
+    $('#note-input').toggleClass('hidden', mode === 'preview');
+    $('#note-preview').toggleClass('hidden', mode !== 'preview');
+}
+
+function formatNote(format) {
+    const input = document.getElementById('note-input');
+    const result = applyFormat(input.value, input.selectionStart, input.selectionEnd, format);
+    input.value = result.value;
+    setNoteMode('write');
+    input.focus();
+    input.setSelectionRange(result.start, result.end);
+}
+
+// Insert text at the cursor, replacing the selection
+function insertNoteText(text) {
+    const input = document.getElementById('note-input');
+    const start = input.selectionStart;
+    input.value = input.value.slice(0, start) + text + input.value.slice(input.selectionEnd);
+    input.setSelectionRange(start + text.length, start + text.length);
+}
+
+// Keep headings, lists and bold from formatted text pasted into the note
+function onNotePaste(e) {
+    const html = e.originalEvent.clipboardData && e.originalEvent.clipboardData.getData('text/html');
+    if (!html) return;
+
+    e.preventDefault();
+    insertNoteText(htmlToNote(html));
+}
+
+async function pasteClipboard() {
+    let text = null;
+    try {
+        // Formatted content where the browser allows reading it, plain text otherwise
+        if (navigator.clipboard.read) {
+            const items = await navigator.clipboard.read();
+            const item = items.find(i => i.types.includes('text/html'));
+            if (item) text = htmlToNote(await (await item.getType('text/html')).text());
+        }
+        if (text === null) text = await navigator.clipboard.readText();
+    } catch (e) {
+        console.error(e);
+        alert(t('note.clipboardFailed'));
+        return;
+    }
+
+    setNoteMode('write');
+    insertNoteText(text);
+    $('#note-input').focus();
+}
+
+async function sendNote() {
+    const source = $('#note-input').val().trim();
+    if (!source) {
+        alert(t('note.empty'));
+        return;
+    }
+
+    showView('progress');
+    $('#progress-text').text(t('common.sending'));
+    $('#progress-fill').css('width', '50%');
+
+    try {
+        const status = await sendTracked({ kind: 'note', name: source.split('\n')[0].slice(0, 80), data: { source, blocks: parseNote(source) } });
+        $('#progress-fill').css('width', '100%');
+        $('#note-input').val('');
+        showSuccess(status);
+    } catch (e) {
+        showError(sendErrorText(e));
+    }
+}
+
+// Pointer
+function openPointer() {
+    if (!pointerPad) {
+        pointerPad = new PointerPad(document.getElementById('pointer-pad'));
+        pointerPad.onEvent = (event) => {
+            try {
+                rtc.sendPointer(event);
+            } catch (e) {
+                // Not connected, pointer events are not worth keeping
+            }
+        };
+    }
+    setPointerMode('touchpad');
+    showView('pointer');
+}
+
+function setPointerMode(mode) {
+    pointerPad.setMode(mode);
+    $('#pointer-view .segment').each((_, el) => {
+        $(el).toggleClass('active', $(el).data('mode') === mode);
+    });
+    $('#pointer-pad').toggleClass('laser', mode === 'laser');
+    $('#pointer-hint').text(mode === 'laser' ? t('pointer.laserHint') : t('pointer.touchpadHint'));
+}
+
+function closePointer() {
+    pointerPad.reset();
+    showView('main');
+}
+
+// Questions: polls and quizzes pushed from the board interrupt the current view
+function showQuestion(msg) {
+    const question = parseQuestion(msg);
+    if (!question) {
+        console.warn('Ignoring question:', msg);
+        return;
+    }
+    // Sent again after a reconnect, the answer given is kept
+    if (activeQuestion && activeQuestion.question.id === question.id) return;
+
+    if (currentView !== 'question') questionReturn = currentView || 'main';
+    activeQuestion = { question: question, value: null, revealed: false };
+    renderQuestion();
+    showView('question');
+}
+
+function renderQuestion() {
+    const { question } = activeQuestion;
+    const options = $('#question-options').empty();
+    const typed = question.kind === QuestionKind.TEXT || question.kind === QuestionKind.NUMBER;
+
+    $('#question-text').text(question.text);
+
+    const choices = question.kind === QuestionKind.TRUE_FALSE
+        ? [{ value: true, label: t('question.true') }, { value: false, label: t('question.false') }]
+        : question.options.map((label, i) => ({ value: i, label: label }));
+    if (!typed) {
+        choices.forEach(choice => {
+            options.append($('<button class="question-option"></button>').text(choice.label).data('value', choice.value));
+        });
+    }
+
+    $('#question-answer').toggleClass('hidden', !typed);
+    $('#question-input')
+        .val('')
+        .prop('disabled', false)
+        .attr('inputmode', question.kind === QuestionKind.NUMBER ? 'decimal' : 'text')
+        .attr('maxlength', question.maxLength)
+        .attr('placeholder', question.kind === QuestionKind.NUMBER ? t('question.numberPlaceholder') : t('question.textPlaceholder'));
+    $('#btn-question-submit').toggleClass('hidden', !typed);
+    $('#btn-question-done').addClass('hidden');
+    $('#question-status').text('').removeClass('correct wrong');
+}
+
+function answerQuestion(input) {
+    if (!activeQuestion || activeQuestion.value !== null || activeQuestion.revealed) return;
+    const { question } = activeQuestion;
+
+    let value;
+    try {
+        value = answerValue(question, input);
+    } catch (e) {
+        $('#question-status').text(questionErrorText(question, e));
+        return;
+    }
+
+    try {
+        rtc.sendAnswer(question.id, value);
+    } catch (e) {
+        console.error(e);
+        $('#question-status').text(t('question.sendFailed'));
+        return;
+    }
+
+    // One answer per question, locked until the board closes or reveals it
+    activeQuestion.value = value;
+    lockQuestion();
+    $('#question-status').text(t('question.answered'));
+}
+
+function questionErrorText(question, error) {
+    if (error.code === 'answer_invalid') return t('question.notNumber');
+    if (error.code !== 'answer_range') return t('question.empty');
+    if (question.min === null || question.max === null) return t('question.outOfRange');
+    return t('question.range', { min: question.min, max: question.max });
+}
+
+function lockQuestion() {
+    const { value } = activeQuestion;
+    $('#question-options .question-option').each((_, el) => {
+        $(el).prop('disabled', true).toggleClass('selected', $(el).data('value') === value);
+    });
+    $('#question-input').prop('disabled', true);
+    $('#btn-question-submit').addClass('hidden');
+}
+
+function revealQuestion(msg) {
+    if (!activeQuestion || activeQuestion.question.id !== msg.questionId) return;
+    const { question, value } = activeQuestion;
+
+    activeQuestion.revealed = true;
+    lockQuestion();
+
+    const hasCorrect = msg.correct !== undefined && msg.correct !== null;
+    $('#question-options .question-option').each((_, el) => {
+        const option = $(el).data('value');
+        $(el).toggleClass('correct', hasCorrect && option === msg.correct)
+            .toggleClass('wrong', hasCorrect && option === value && option !== msg.correct);
+    });
+
+    const correct = isCorrect(question, value, msg.correct);
+    let text = t('question.revealed');
+    if (correct === true) {
+        text = t('question.correct');
+    } else if (hasCorrect) {
+        text = t('question.wrong', { answer: correctAnswerText(question, msg.correct) });
+    }
+    $('#question-status').text(text)
+        .toggleClass('correct', correct === true)
+        .toggleClass('wrong', correct === false);
+    $('#btn-question-done').removeClass('hidden');
+}
+
+function correctAnswerText(question, correct) {
+    switch (question.kind) {
+        case QuestionKind.CHOICE: return question.options[correct] || String(correct);
+        case QuestionKind.TRUE_FALSE: return correct ? t('question.true') : t('question.false');
+        default: return String(correct);
+    }
+}
+
+function closeQuestion() {
+    if (!activeQuestion) return;
+    activeQuestion = null;
+    if (currentView === 'question') showView(questionReturn);
+}
+
+// Remote control for the video or document open on the board
+function openRemote() {
+    if (!boardReady()) {
+        alert(t('error.notConnected'));
+        return;
+    }
+
+    $('#remote-hint').text('');
+    renderRemote(remote.state);
+    showView('remote');
+
+    try {
+        remote.sync();
+    } catch (e) {
+        $('#remote-hint').text(t('remote.sendFailed'));
+    }
+}
+
+// Media that was just delivered opens the remote, if the board has one
+function remoteAfter(status) {
+    return status === HistoryStatus.SENT && rtc.supports(Capability.REMOTE) ? openRemote : null;
+}
+
+function closeRemote() {
+    remoteSliding = null;
+    showView('main');
+}
+
+function renderRemote(state) {
+    const { target } = state;
+    $('#remote-title').text(state.title || '');
+    $('#remote-empty').toggleClass('hidden', target === RemoteTarget.MEDIA || target === RemoteTarget.DOCUMENT);
+    $('#remote-media').toggleClass('hidden', target !== RemoteTarget.MEDIA);
+    $('#remote-document').toggleClass('hidden', target !== RemoteTarget.DOCUMENT);
+
+    if (target === RemoteTarget.MEDIA) {
+        const label = state.playing ? t('remote.pause') : t('remote.play');
+        $('#btn-remote-play').html(state.playing ? '&#10074;&#10074;' : '&#9654;').attr('aria-label', label);
+        $('#remote-seek').attr('max', Math.floor(state.duration || 0));
+        $('#remote-duration').text(formatDuration(state.duration || 0));
+        if (remoteSliding !== 'volume' && typeof state.volume === 'number') $('#remote-volume').val(state.volume);
+        updateRemotePosition();
+    } else if (target === RemoteTarget.DOCUMENT) {
+        if (!$('#remote-page').is(':focus')) $('#remote-page').val(state.page || '');
+        $('#remote-page-count').text(state.pageCount ? t('remote.pageCount', { count: state.pageCount }) : '');
+        $('#remote-zoom').text(`${Math.round((state.zoom || 1) * 100)}%`);
+    }
+}
+
+// Position moves on between states while the board plays
+function updateRemotePosition() {
+    if (!remote || remote.state.target !== RemoteTarget.MEDIA || remoteSliding === 'seek') return;
+    const position = remote.position;
+    $('#remote-seek').val(Math.floor(position));
+    $('#remote-position').text(formatDuration(position));
+}
+
+// @param {number} value - Page number for 'page'
+function remoteAction(action, value = null) {
+    const { state } = remote;
+    const position = remote.position;
+
+    try {
+        switch (action) {
+            case 'play':
+                remote.send(state.playing ? 'pause' : 'play');
+                break;
+            case 'back':
+                remote.send('seek', Math.max(0, Math.floor(position - 10)));
+                break;
+            case 'forward':
+                remote.send('seek', Math.floor(state.duration ? Math.min(state.duration, position + 10) : position + 10));
+                break;
+            case 'zoom-in':
+                remote.zoom(1);
+                break;
+            case 'zoom-out':
+                remote.zoom(-1);
+                break;
+            default:
+                // prev, next, page
+                remote.send(action, value);
+        }
+        $('#remote-hint').text('');
+    } catch (e) {
+        console.error(e);
+        $('#remote-hint').text(t('remote.sendFailed'));
+    }
+}
+
+function onRemoteSlide(e) {
+    const slider = e.currentTarget;
+    const value = Number(slider.value);
+
+    if (slider.dataset.slider === 'seek') {
+        $('#remote-position').text(formatDuration(value));
+        remote.slide('seek', value);
+    } else {
+        remote.slide('volume', value);
+    }
+}
+
+function jumpToPage() {
+    const { pageCount } = remote.state;
+    const page = Number($('#remote-page').val().trim());
+
+    if (!Number.isInteger(page) || page < 1 || (pageCount && page > pageCount)) {
+        $('#remote-hint').text(t('remote.pageInvalid', { count: pageCount || 1 }));
+        return;
+    }
+    $('#remote-page').blur();
+    remoteAction('page', page);
+}
+
+// PDF
+function requestPdf() {
+    if (!rtc || !rtc.isConnected) {
+        alert(t('error.notConnected'));
+        return;
+    }
+
+    showView('progress');
+    $('#progress-text').text(t('pdf.preparing'));
+    $('#progress-fill').css('width', '0%');
+
+    // Set up file received callback
+    rtc.onFileReceived = (type, filename, blob) => {
+        if (type === 'pdf') {
+            showSuccess();
+        }
+    };
+
+    try {
+        rtc.requestPdf();
+    } catch (e) {
+        showError(t('error.pdfFailed'));
+    }
+}
+
+// History: every item is stored before sending, failed ones stay in the outbox
+// While the board is away items are queued and sent when it connects (see flushOutbox)
+// @returns {Promise<string>} HistoryStatus: SENT, QUEUED, or PENDING while the teacher decides
+async function sendTracked(entry, onProgress = null) {
+    if (!boardReady()) {
+        const queued = await sentHistory.add(entry, HistoryStatus.QUEUED);
+        if (queued === null) throw new Error('Not connected and no outbox storage');
+        updateOutbox();
+        return HistoryStatus.QUEUED;
+    }
+
+    const id = await sentHistory.add(entry);
+    return deliverTracked(id, entry, onProgress);
+}
+
+// @returns {Promise<string>} HistoryStatus.SENT, or PENDING if the board holds it for the teacher
+async function deliverTracked(id, entry, onProgress = null) {
+    let result;
+    try {
+        result = await deliver(entry, onProgress);
+    } catch (e) {
+        // Lost the board halfway: queue it again rather than fail it
+        let status = boardReady() ? HistoryStatus.FAILED : HistoryStatus.QUEUED;
+        if (e.code === 'item_rejected') status = HistoryStatus.REJECTED;
+        await sentHistory.update(id, { status: status, error: e.reason || e.code || e.message });
+        updateOutbox();
+        throw e;
+    }
+    if (result && result.status === ReceiptStatus.PENDING) {
+        await sentHistory.update(id, { status: HistoryStatus.PENDING, error: null, itemId: result.itemId });
+        updateOutbox();
+        return HistoryStatus.PENDING;
+    }
+
+    await sentHistory.update(id, { status: HistoryStatus.SENT, error: null, sentAt: Date.now() });
+    updateOutbox();
+    return HistoryStatus.SENT;
+}
+
+// Send a stored entry with the matching WebRTCClient method
+async function deliver(entry, onProgress) {
+    switch (entry.kind) {
+        case 'image':
+            return sendPreparedImage(entry.blob, entry.name, onProgress);
+        case 'audio':
+            return rtc.sendAudio(entry.blob, entry.name, onProgress);
+        case 'video':
+            return rtc.sendVideo(entry.blob, entry.name, entry.clip || null, onProgress);
+        case 'document':
+            return rtc.sendDocument(entry.blob, entry.mimeType, onProgress);
+        default:
+            // youtube, link, note
+            return rtc.sendItem(entry.kind, entry.data);
+    }
+}
+
+// What is needed to send an entry again as a new one
+function entryContent(entry) {
+    const { kind, name, blob, mimeType, clip, data } = entry;
+    return { kind, name, blob, mimeType, clip, data };
+}
+
+function boardReady() {
+    return Boolean(rtc && rtc.isConnected);
+}
+
+// Resolves once the board is connected
+function whenConnected() {
+    if (boardReady()) return Promise.resolve();
+    return new Promise(resolve => connectedWaiters.push(resolve));
+}
+
+// Send what was queued while the board was away, oldest first
+// Entries queued while a flush runs (or after it lost the board) get another round
+async function flushOutbox() {
+    if (flushingOutbox) return;
+    flushingOutbox = true;
+
+    try {
+        for (const entry of await sentHistory.queued()) {
+            if (!boardReady()) break;
+            await sentHistory.update(entry.id, { status: HistoryStatus.SENDING });
+            updateOutbox();
+            try {
+                await deliverTracked(entry.id, entry);
+            } catch (e) {
+                console.error(e);
+            }
+        }
+    } finally {
+        flushingOutbox = false;
+        updateOutbox();
+        if (currentView === 'history') renderHistory();
+    }
+
+    if (boardReady() && (await sentHistory.queued()).length > 0) flushOutbox();
+}
+
+async function updateOutbox() {
+    const outbox = await sentHistory.outbox();
+    const failed = outbox.filter(entry => entry.status === HistoryStatus.FAILED).length;
+    const waiting = outbox.filter(entry => entry.status === HistoryStatus.QUEUED).length;
+
+    $('#outbox-banner').toggleClass('hidden', failed === 0)
+        .text(t('history.outbox', { count: failed }));
+    $('#waiting-badge').toggleClass('hidden', waiting === 0)
+        .text(t('outbox.waiting', { count: waiting }));
+}
+
+async function openHistory() {
+    await renderHistory();
+    showView('history');
+}
+
+async function renderHistory() {
+    const entries = await sentHistory.list();
+    const list = $('#history-list');
+
+    historyThumbs.forEach(url => URL.revokeObjectURL(url));
+    historyThumbs.length = 0;
+    list.empty();
+    $('#history-empty').toggleClass('hidden', entries.length > 0);
+
+    entries.forEach(entry => {
+        const row = $(`
+            <li class="queue-item history-item" data-id="${entry.id}">
+                <div class="history-thumb"></div>
+                <div class="queue-info">
+                    <div class="queue-name"></div>
+                    <div class="queue-status"></div>
+                </div>
+                <button class="btn-icon" data-action="resend" data-i18n-title="history.resend">&#8635;</button>
+                <button class="btn-icon" data-action="remove" data-i18n-title="common.remove">&times;</button>
+            </li>
+        `);
+        translatePage(row[0]);
+
+        const thumb = row.find('.history-thumb');
+        if (entry.thumb) {
+            const url = URL.createObjectURL(entry.thumb);
+            historyThumbs.push(url);
+            thumb.append($('<img alt="">').attr('src', url));
+        } else {
+            thumb.text(t(`history.kind.${entry.kind}`));
+        }
+
+        const time = new Date(entry.createdAt).toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+        row.addClass(entry.status === HistoryStatus.SENT ? 'done' : entry.status);
+        row.find('.queue-name').text(entry.name);
+        row.find('.queue-status').text(`${time} · ${t(`history.status.${entry.status}`)}`);
+        row.find('button').toggleClass('hidden', entry.status === HistoryStatus.SENDING);
+        row.find('[data-action="resend"]').toggleClass('hidden', !isResendable(entry) ||
+            entry.status === HistoryStatus.SENDING || entry.status === HistoryStatus.PENDING);
+        list.append(row);
+    });
+}
+
+async function onHistoryAction(e) {
+    const button = $(e.currentTarget);
+    const id = Number(button.closest('.history-item').data('id'));
+
+    if (button.data('action') === 'remove') {
+        await sentHistory.remove(id);
+    } else if (button.data('action') === 'resend') {
+        await resendEntry(id);
+    }
+
+    if (currentView === 'history') await renderHistory();
+    updateOutbox();
+}
+
+// A failed entry is sent again in place, a sent one as a new entry
+async function resendEntry(id) {
+    const entry = await sentHistory.get(id);
+    if (!entry || !isResendable(entry)) return;
+
+    try {
+        if (entry.status === HistoryStatus.SENT) {
+            const sending = sendTracked(entryContent(entry));
+            await renderHistory();
+            await sending;
+        } else {
+            await sentHistory.update(id, { status: HistoryStatus.SENDING, error: null });
+            await renderHistory();
+            await deliverTracked(id, entry);
+        }
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+// Message for a failed send, rejected and failed receipts included
+function sendErrorText(error) {
+    switch (error && error.code) {
+        case 'unsupported_format':
+            return t('error.unsupportedImage');
+        case 'item_rejected':
+            return t('error.itemRejected');
+        case 'item_failed':
+            return error.reason ? t('error.itemFailedReason', { reason: error.reason }) : t('error.itemFailed');
+        default:
+            return t('error.sendFailed');
+    }
+}
+
+// Moderation: the teacher decided on an item the board held, the user may be anywhere by now
+async function onApproval(itemId, receipt) {
+    const entry = (await sentHistory.list()).find(e => e.itemId === itemId && e.status === HistoryStatus.PENDING);
+    if (!entry) return;
+
+    const approved = receipt.status === ReceiptStatus.RECEIVED || receipt.status === ReceiptStatus.DISPLAYED;
+    const rejected = receipt.status === ReceiptStatus.REJECTED;
+    if (approved) {
+        await sentHistory.update(entry.id, { status: HistoryStatus.SENT, error: null, sentAt: Date.now() });
+    } else {
+        await sentHistory.update(entry.id, {
+            status: rejected ? HistoryStatus.REJECTED : HistoryStatus.FAILED,
+            error: receipt.reason || receipt.status
+        });
+    }
+
+    const item = sendQueue && sendQueue.items.find(i => i.historyId === entry.id);
+    if (item) {
+        item.awaitingApproval = false;
+        item.rejected = !approved;
+        renderQueue();
+    }
+    if (currentView === 'camera') showCameraToast(approved ? t('receipt.approved') : t('receipt.rejected'));
+    if (currentView === 'history') renderHistory();
+    updateOutbox();
+}
+
+// Items still with the teacher when the page was reloaded or the board reconnected
+async function watchApprovals() {
+    const entries = await sentHistory.list();
+    entries
+        .filter(entry => entry.status === HistoryStatus.PENDING && entry.itemId)
+        .forEach(entry => rtc.watchApproval(entry.itemId));
+}
+
+// What the user is told after a send
+function sendStatusText(status) {
+    switch (status) {
+        case HistoryStatus.QUEUED: return t('outbox.queued');
+        case HistoryStatus.PENDING: return t('receipt.pending');
+        default: return t('common.sent');
+    }
+}
+
+// Success
+// @param {string} status - HistoryStatus the item ended up in: SENT, QUEUED or PENDING
+// @param {Function} then - Called instead of going back to the main view (optional)
+function showSuccess(status = HistoryStatus.SENT, then = null) {
+    $('#success-icon').text(status === HistoryStatus.SENT ? '✓' : '…');
+    $('#success-text').text(sendStatusText(status));
+    showView('success');
+    setTimeout(() => then ? then() : showView('main'), 1500);
+}
+
+// Reconnect as soon as the network is back
+window.addEventListener('online', () => {
+    if (rtc) rtc.reconnect();
+});
+
+// Cleanup
+window.addEventListener('beforeunload', () => {
+    stopCamera();
+    discardRecording();
+    cancelVideoRecording();
+    stopTalk();
     if (rtc) rtc.disconnect();
 });
@@ -0,0 +1,271 @@
+/**
+ * Text notes for Tahta
+ *
+ * Notes are typed with a small markup that leaves math alone (x^2, a_1, 2*3
+ * stay as they are):
+ *
+ *   # Heading, ## Subheading, ### Small heading
+ *   - item / * item           bullet list
+ *   1. item                   numbered list
+ *   **bold**  `code`          inline
+ *   ```                       code block, until the closing ```
+ *
+ * The parsed blocks are sent to Tahta, which renders them as an editable
+ * text object:
+ *
+ *   { type: 'heading', level: 1-3, inlines }
+ *   { type: 'paragraph', inlines }              lines joined with '\n'
+ *   { type: 'list', ordered, items: [inlines] }
+ *   { type: 'code', text }
+ *
+ * where inlines is [{ text, bold?, code? }].
+ */
+
+export const MAX_NOTE_LENGTH = 20000;
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*•]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const FENCE = /^\s*```/;
+
+/**
+ * Split inline text into plain, bold and code runs
+ */
+export function parseInline(text) {
+    const inlines = [];
+    const pattern = /`([^`]+)`|\*\*([^*]+)\*\*/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        if (match.index > last) inlines.push({ text: text.slice(last, match.index) });
+        if (match[1] !== undefined) {
+            inlines.push({ text: match[1], code: true });
+        } else {
+            inlines.push({ text: match[2], bold: true });
+        }
+        last = pattern.lastIndex;
+    }
+
+    if (last < text.length) inlines.push({ text: text.slice(last) });
+    return inlines;
+}
+
+/**
+ * Parse note markup into blocks
+ * @param {string} source - Note text
+ * @returns {Array} blocks
+ */
+export function parseNote(source) {
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = null;   // lines
+    let list = null;        // { ordered, items }
+    let code = null;        // lines
+
+    const closeParagraph = () => {
+        if (paragraph) blocks.push({ type: 'paragraph', inlines: parseInline(paragraph.join('\n')) });
+        paragraph = null;
+    };
+    const closeList = () => {
+        if (list) blocks.push({ type: 'list', ordered: list.ordered, items: list.items });
+        list = null;
+    };
+
+    lines.forEach(line => {
+        if (code) {
+            if (FENCE.test(line)) {
+                blocks.push({ type: 'code', text: code.join('\n') });
+                code = null;
+            } else {
+                code.push(line);
+            }
+            return;
+        }
+
+        if (FENCE.test(line)) {
+            closeParagraph();
+            closeList();
+            code = [];
+            return;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            closeParagraph();
+            closeList();
+            blocks.push({ type: 'heading', level: heading[1].length, inlines: parseInline(heading[2].trim()) });
+            return;
+        }
+
+        const bullet = BULLET.exec(line);
+        const numbered = !bullet && NUMBERED.exec(line);
+        if (bullet || numbered) {
+            const ordered = Boolean(numbered);
+            closeParagraph();
+            if (list && list.ordered !== ordered) closeList();
+            if (!list) list = { ordered, items: [] };
+            list.items.push(parseInline((bullet || numbered)[1]));
+            return;
+        }
+
+        if (line.trim() === '') {
+            closeParagraph();
+            closeList();
+            return;
+        }
+
+        closeList();
+        if (!paragraph) paragraph = [];
+        paragraph.push(line);
+    });
+
+    // Unclosed code block runs to the end
+    if (code) blocks.push({ type: 'code', text: code.join('\n') });
+    closeParagraph();
+    closeList();
+
+    return blocks;
+}
+
+function renderInlines(parent, inlines) {
+    inlines.forEach(inline => {
+        let node = document.createTextNode(inline.text);
+        if (inline.code) {
+            const el = document.createElement('code');
+            el.appendChild(node);
+            node = el;
+        }
+        if (inline.bold) {
+            const el = document.createElement('strong');
+            el.appendChild(node);
+            node = el;
+        }
+        parent.appendChild(node);
+    });
+}
+
+/**
+ * Render blocks into an element, for the preview
+ */
+export function renderNote(blocks, container) {
+    container.textContent = '';
+
+    blocks.forEach(block => {
+        let el;
+        switch (block.type) {
+            case 'heading':
+                el = document.createElement(`h${block.level + 1}`);
+                renderInlines(el, block.inlines);
+                break;
+            case 'paragraph':
+                el = document.createElement('p');
+                renderInlines(el, block.inlines);
+                break;
+            case 'list':
+                el = document.createElement(block.ordered ? 'ol' : 'ul');
+                block.items.forEach(item => {
+                    const li = document.createElement('li');
+                    renderInlines(li, item);
+                    el.appendChild(li);
+                });
+                break;
+            case 'code':
+                el = document.createElement('pre');
+                el.textContent = block.text;
+                break;
+            default:
+                return;
+        }
+        container.appendChild(el);
+    });
+}
+
+/**
+ * Convert pasted HTML (from a document, web page or mail) into note markup
+ */
+export function htmlToNote(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    const inline = (node) => Array.from(node.childNodes).map(child => {
+        if (child.nodeType === Node.TEXT_NODE) return child.textContent.replace(/\s+/g, ' ');
+        if (child.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = child.tagName.toLowerCase();
+        const text = inline(child);
+        if (tag === 'br') return '\n';
+        if ((tag === 'b' || tag === 'strong') && text.trim()) return `**${text.trim()}**`;
+        if (tag === 'code' && text.trim()) return `\`${text.trim()}\``;
+        return text;
+    }).join('');
+
+    const block = (node) => Array.from(node.childNodes).map(child => {
+        if (child.nodeType === Node.TEXT_NODE) return child.textContent.trim() ? child.textContent.trim() + '\n\n' : '';
+        if (child.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = child.tagName.toLowerCase();
+        const heading = /^h([1-6])$/.exec(tag);
+        if (heading) {
+            return `${'#'.repeat(Math.min(Number(heading[1]), 3))} ${inline(child).trim()}\n\n`;
+        }
+        if (tag === 'ul' || tag === 'ol') {
+            const items = Array.from(child.children).filter(li => li.tagName.toLowerCase() === 'li');
+            return items.map((li, i) => `${tag === 'ol' ? `${i + 1}.` : '-'} ${inline(li).trim()}`).join('\n') + '\n\n';
+        }
+        if (tag === 'pre') return `\`\`\`\n${child.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+        if (tag === 'p') return `${inline(child).trim()}\n\n`;
+        if (tag === 'script' || tag === 'style') return '';
+
+        // div, section, span, ... : keep going, inline-only content becomes a paragraph
+        const hasBlocks = child.querySelector('p, div, h1, h2, h3, h4, h5, h6, ul, ol, pre');
+        return hasBlocks ? block(child) : (inline(child).trim() ? `${inline(child).trim()}\n\n` : '');
+    }).join('');
+
+    return block(doc.body).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Apply a toolbar format to the selected text of a textarea
+ * @param {string} value - Textarea value
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} format - 'heading', 'bold', 'list', 'ordered' or 'code'
+ * @returns {{value: string, start: number, end: number}} new value and selection
+ */
+export function applyFormat(value, start, end, format) {
+    const selected = value.slice(start, end);
+
+    // Inline formats wrap the selection
+    if (format === 'bold' || (format === 'code' && !selected.includes('\n'))) {
+        const mark = format === 'bold' ? '**' : '`';
+        const text = `${mark}${selected}${mark}`;
+        return {
+            value: value.slice(0, start) + text + value.slice(end),
+            start: start + mark.length,
+            end: start + mark.length + selected.length
+        };
+    }
+
+    if (format === 'code') {
+        const text = `\`\`\`\n${selected}\n\`\`\``;
+        return { value: value.slice(0, start) + text + value.slice(end), start: start + 4, end: start + 4 + selected.length };
+    }
+
+    // Line formats prefix every selected line
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end);
+    const lines = value.slice(lineStart, lineEnd).split('\n');
+
+    const formatted = lines.map((line, i) => {
+        if (format === 'heading') return HEADING.test(line) ? line.replace(/^#{1,3}\s+/, '') : `# ${line}`;
+        if (format === 'list') return BULLET.test(line) ? line.replace(/^\s*[-*•]\s+/, '') : `- ${line}`;
+        if (format === 'ordered') return NUMBERED.test(line) ? line.replace(/^\s*\d+[.)]\s+/, '') : `${i + 1}. ${line}`;
+        return line;
+    }).join('\n');
+
+    return {
+        value: value.slice(0, lineStart) + formatted + value.slice(lineEnd),
+        start: lineStart,
+        end: lineStart + formatted.length
+    };
+}
@@ -0,0 +1,188 @@
+/**
+ * Room pairing with one-time tokens
+ *
+ * Tahta creates a random token for every pairing and hands it to the phone in
+ * the QR link (?room=...&token=...) or shows it as a PIN on the board. The
+ * token itself is never written to signaling, only a nonce, the expiry and a
+ * P-256 public key whose private half stays on the board:
+ *
+ *   rooms/{roomId}/pairing                         { nonce, expiresAt, publicKey, usedBy, shared }   from Tahta
+ *   rooms/{roomId}/participants/{id}/tahta/pairing { session, ok, reason }    Tahta's verdict on an offer
+ *
+ * The phone keeps a random session secret and publishes only its hash as the
+ * session id. Every offer carries { nonce, session, publicKey, sealed, iv }:
+ *
+ *   proof  = HMAC-SHA256(token, roomId | nonce | secret | offer sdp)
+ *   sealed = AES-GCM({ secret, proof }) with a key from ECDH(phone key, board key),
+ *            roomId | nonce | session | phone publicKey as additional data
+ *
+ * A PIN has only 10^6 values, so nothing that can be checked against it is
+ * readable in signaling: only the board can open the proof. Tahta recomputes
+ * it with its copy of the token and counts wrong proofs per nonce; after a few
+ * it replaces the PIN and rejects with 'locked', which stops online guessing.
+ *
+ * The first valid offer sets usedBy to the session id. Later offers are
+ * accepted only if they open to the secret behind it (renegotiation after a
+ * reconnect), so copying the public session id does not help; offers from
+ * other sessions are rejected as 'used'. Tahta also rejects offers after
+ * expiresAt.
+ *
+ * A token shown to a whole class is marked shared: every participant may pair
+ * with it until it expires, and usedBy is not set.
+ *
+ * The board key is only as trustworthy as the pairing record. With a link
+ * secret the record is sealed (see secure-signaling.js); without one, whoever
+ * can write the room could publish their own key.
+ */
+
+export const PIN_LENGTH = 6;
+
+// Phone and board clocks are not in sync, Tahta makes the final call
+const CLOCK_SKEW = 60 * 1000;
+
+/**
+ * Pairing rejection reasons
+ */
+export const PairingReason = {
+    MISSING: 'missing',     // Room has no pairing (board did not start one)
+    EXPIRED: 'expired',
+    USED: 'used',           // Another phone paired with this token
+    INVALID: 'invalid',     // Wrong token or PIN
+    LOCKED: 'locked'        // Too many wrong PINs, the board made a new one
+};
+
+/**
+ * Error for a rejected pairing, code is 'pairing_<reason>'
+ */
+export function pairingError(reason) {
+    const error = new Error(`Pairing rejected: ${reason}`);
+    error.code = `pairing_${reason}`;
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Check that a PIN typed by the user looks valid
+ */
+export function isValidPin(pin) {
+    return new RegExp(`^\\d{${PIN_LENGTH}}$`).test(pin);
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(text) {
+    return Uint8Array.from(text.match(/../g) || [], byte => parseInt(byte, 16));
+}
+
+async function sha256(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+/**
+ * Pairing state of this phone for one room
+ */
+export class Pairing {
+    /**
+     * @param {string} roomId - Room id
+     * @param {string} token - Token from the QR link or PIN from the board
+     */
+    constructor(roomId, token) {
+        this.roomId = roomId;
+        this.token = token.trim();
+        this.secret = toHex(crypto.getRandomValues(new Uint8Array(16)));
+        this.session = null;        // SHA-256 of the secret, set by check()
+        this.nonce = null;
+        this.boardKey = null;
+        this.keys = null;           // { hmac, seal, publicKey } once the first offer is signed
+    }
+
+    /**
+     * Check the pairing Tahta published before sending an offer
+     * @param {object|null} record - rooms/{roomId}/pairing
+     * @throws pairingError if the pairing is missing, expired or already used
+     */
+    async check(record, now = Date.now()) {
+        if (!this.session) this.session = await sha256(this.secret);
+
+        // A board without a key would need a proof anyone could check against the PIN
+        if (!record || !record.nonce || !record.publicKey) throw pairingError(PairingReason.MISSING);
+        if (record.expiresAt && record.expiresAt + CLOCK_SKEW < now) throw pairingError(PairingReason.EXPIRED);
+        if (!record.shared && record.usedBy && record.usedBy !== this.session) {
+            throw pairingError(PairingReason.USED);
+        }
+
+        if (record.nonce !== this.nonce || record.publicKey !== this.boardKey) this.keys = null;
+        this.nonce = record.nonce;
+        this.boardKey = record.publicKey;
+    }
+
+    /**
+     * Keys for this nonce: HMAC of the token, and the AES key shared with the board
+     */
+    async deriveKeys() {
+        const hmac = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(this.token),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+
+        const ecdh = { name: 'ECDH', namedCurve: 'P-256' };
+        const own = await crypto.subtle.generateKey(ecdh, false, ['deriveBits']);
+        const board = await crypto.subtle.importKey('raw', fromHex(this.boardKey), ecdh, false, []);
+        const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: board }, own.privateKey, 256);
+
+        const master = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+        const seal = await crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode(`${this.roomId}|${this.nonce}`),
+                info: new TextEncoder().encode('tahta-pairing')
+            },
+            master,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt']
+        );
+
+        const publicKey = toHex(await crypto.subtle.exportKey('raw', own.publicKey));
+        return { hmac, seal, publicKey };
+    }
+
+    /**
+     * Sealed proof for an offer, sent along with the SDP
+     * @param {string} sdp - Offer SDP
+     * @returns {Promise<{nonce: string, session: string, publicKey: string, sealed: string, iv: string}>}
+     */
+    async sign(sdp) {
+        if (!this.nonce) throw new Error('Pairing not checked');
+        if (!this.keys) this.keys = await this.deriveKeys();
+        const { hmac, seal, publicKey } = this.keys;
+
+        const message = [this.roomId, this.nonce, this.secret, sdp].join('|');
+        const proof = toHex(await crypto.subtle.sign('HMAC', hmac, new TextEncoder().encode(message)));
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const sealed = await crypto.subtle.encrypt(
+            {
+                name: 'AES-GCM',
+                iv: iv,
+                additionalData: new TextEncoder().encode([this.roomId, this.nonce, this.session, publicKey].join('|'))
+            },
+            seal,
+            new TextEncoder().encode(JSON.stringify({ secret: this.secret, proof: proof }))
+        );
+
+        return {
+            nonce: this.nonce,
+            session: this.session,
+            publicKey: publicKey,
+            sealed: toHex(sealed),
+            iv: toHex(iv)
+        };
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * This phone as a participant of a room
+ *
+ * Several phones can join the same room, each under its own participant id
+ * with its own signaling subtree and peer connection (see signaling.js). The
+ * id is kept per tab and room, so a reload rejoins as the same participant.
+ * The display name is kept across rooms; Tahta shows it next to everything
+ * the phone sends.
+ */
+
+export const MAX_NAME_LENGTH = 40;
+
+const ID_KEY = 'tahta.participant.';
+const NAME_KEY = 'tahta.name';
+
+// Storage throws in some private modes, the app works without it
+function read(storage, key) {
+    try {
+        return storage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+function write(storage, key, value) {
+    try {
+        storage.setItem(key, value);
+    } catch (e) {
+        // Not persisted, asked again next time
+    }
+}
+
+/**
+ * Random participant id, 16 hex characters
+ */
+export function createParticipantId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Trim a typed name and collapse whitespace
+ * @returns {string} empty if nothing usable was typed
+ */
+export function normalizeName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Participant of this tab in a room
+ * @param {string} roomId - Room id
+ * @returns {{id: string, name: string}} name is empty until the user enters one
+ */
+export function loadParticipant(roomId) {
+    let id = read(sessionStorage, ID_KEY + roomId);
+    if (!id) {
+        id = createParticipantId();
+        write(sessionStorage, ID_KEY + roomId, id);
+    }
+    return { id: id, name: normalizeName(read(localStorage, NAME_KEY)) };
+}
+
+/**
+ * Remember the display name for the next rooms
+ */
+export function saveName(name) {
+    write(localStorage, NAME_KEY, name);
+}
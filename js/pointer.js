@@ -0,0 +1,185 @@
+/**
+ * Touchpad and laser pointer gestures on a phone screen surface
+ *
+ * Events passed to onEvent (coordinates are normalized to the surface):
+ *   { e: 'move', mode: 'laser', x, y }          laser position, 0..1
+ *   { e: 'hide', mode: 'laser' }                finger lifted, hide the laser dot
+ *   { e: 'move', mode: 'touchpad', dx, dy }     relative cursor movement
+ *   { e: 'tap', mode: 'touchpad' }              click
+ *   { e: 'down' | 'up', mode: 'touchpad' }      drag start / end (long press, then move)
+ *   { e: 'scroll', mode: 'touchpad', dy }       two finger scroll
+ */
+
+const TAP_SLOP = 8;          // px a finger may move and still count as a tap
+const TAP_TIME = 250;        // ms
+const LONG_PRESS_TIME = 450; // ms before a still finger starts a drag
+
+/**
+ * Pointer pad class
+ */
+export class PointerPad {
+    /**
+     * @param {HTMLElement} element - Touch surface
+     */
+    constructor(element) {
+        this.element = element;
+        this.mode = 'touchpad';
+        this.onEvent = null;
+
+        // Gesture state
+        this.pointers = new Map();  // pointerId -> { x, y, startX, startY, startTime }
+        this.moved = false;
+        this.dragging = false;
+        this.scrolling = false;
+        this.longPressTimer = null;
+
+        this.handleDown = this.handleDown.bind(this);
+        this.handleMove = this.handleMove.bind(this);
+        this.handleUp = this.handleUp.bind(this);
+
+        element.addEventListener('pointerdown', this.handleDown);
+        element.addEventListener('pointermove', this.handleMove);
+        element.addEventListener('pointerup', this.handleUp);
+        element.addEventListener('pointercancel', this.handleUp);
+    }
+
+    /**
+     * Switch between 'touchpad' and 'laser'
+     */
+    setMode(mode) {
+        this.reset();
+        this.mode = mode;
+    }
+
+    handleDown(e) {
+        e.preventDefault();
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, {
+            x: e.clientX,
+            y: e.clientY,
+            startX: e.clientX,
+            startY: e.clientY,
+            startTime: Date.now()
+        });
+
+        if (this.mode === 'laser') {
+            this.emitLaser(e);
+            return;
+        }
+
+        if (this.pointers.size === 1) {
+            this.moved = false;
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                if (this.moved || this.pointers.size !== 1) return;
+
+                this.dragging = true;
+                if (navigator.vibrate) navigator.vibrate(20);
+                this.emit({ e: 'down' });
+            }, LONG_PRESS_TIME);
+        } else {
+            // Second finger: scroll instead of move / drag
+            this.cancelLongPress();
+            if (this.dragging) {
+                this.dragging = false;
+                this.emit({ e: 'up' });
+            }
+            this.scrolling = true;
+        }
+    }
+
+    handleMove(e) {
+        const p = this.pointers.get(e.pointerId);
+        if (!p) return;
+        e.preventDefault();
+
+        const rect = this.element.getBoundingClientRect();
+        const dx = e.clientX - p.x;
+        const dy = e.clientY - p.y;
+        p.x = e.clientX;
+        p.y = e.clientY;
+
+        if (this.mode === 'laser') {
+            this.emitLaser(e);
+            return;
+        }
+
+        if (Math.hypot(p.x - p.startX, p.y - p.startY) > TAP_SLOP) {
+            this.moved = true;
+            this.cancelLongPress();
+        }
+
+        if (this.scrolling) {
+            // Each finger contributes its share of the average movement
+            this.emit({ e: 'scroll', dy: dy / rect.height / this.pointers.size });
+        } else if (this.moved || this.dragging) {
+            this.emit({ e: 'move', dx: dx / rect.width, dy: dy / rect.height });
+        }
+    }
+
+    handleUp(e) {
+        const p = this.pointers.get(e.pointerId);
+        if (!p) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.mode === 'laser') {
+            if (this.pointers.size === 0) this.emit({ e: 'hide' });
+            return;
+        }
+
+        this.cancelLongPress();
+
+        if (this.dragging) {
+            this.dragging = false;
+            this.emit({ e: 'up' });
+        } else if (!this.moved && !this.scrolling && e.type === 'pointerup' &&
+                   Date.now() - p.startTime < TAP_TIME) {
+            this.emit({ e: 'tap' });
+        }
+
+        if (this.pointers.size === 0) this.scrolling = false;
+    }
+
+    emitLaser(e) {
+        const rect = this.element.getBoundingClientRect();
+        const x = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        const y = Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1);
+        this.emit({ e: 'move', x, y });
+    }
+
+    emit(event) {
+        if (this.onEvent) this.onEvent({ ...event, mode: this.mode });
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    /**
+     * Drop gesture state, releasing a drag or hiding the laser if needed
+     */
+    reset() {
+        this.cancelLongPress();
+        if (this.dragging) this.emit({ e: 'up' });
+        if (this.mode === 'laser' && this.pointers.size > 0) this.emit({ e: 'hide' });
+
+        this.pointers.clear();
+        this.moved = false;
+        this.dragging = false;
+        this.scrolling = false;
+    }
+
+    /**
+     * Remove listeners
+     */
+    destroy() {
+        this.reset();
+        this.element.removeEventListener('pointerdown', this.handleDown);
+        this.element.removeEventListener('pointermove', this.handleMove);
+        this.element.removeEventListener('pointerup', this.handleUp);
+        this.element.removeEventListener('pointercancel', this.handleUp);
+    }
+}
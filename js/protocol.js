@@ -0,0 +1,220 @@
+/**
+ * Message protocol on the 'media' data channel
+ *
+ * Every JSON message is an envelope:
+ *
+ *   { v: PROTOCOL_VERSION, type: 'file_start', id: 12, data: { ... } }
+ *
+ * id counts up per sender and only helps when reading logs. Binary messages
+ * are file chunks (see transfer.js) and have no envelope.
+ *
+ * When the channel opens the phone sends
+ *
+ *   hello { version, minVersion, capabilities, participant }
+ *
+ * and Tahta answers with its own hello. The lower version is used, a board
+ * below minVersion (or one that never answers) is not supported. Tahta's
+ * capabilities say which features it handles, the phone hides the rest.
+ * After the hello both sides put the agreed version in every envelope, an
+ * envelope with another v is dropped (hello itself may carry any version).
+ *
+ * Message types and their data:
+ *
+ *   hello         { version, minVersion?, capabilities,
+ *                   limits?, participant?, questionId? }       both ways, limits: { maxFileSize }
+ *   participant   { id, name }                                 phone -> Tahta, display name changed
+ *   file_start    { v, transferId, fileType, filename, totalSize,
+ *                   chunkSize, totalChunks, sha256, mimeType?,
+ *                   clip?, sender? }                           both ways (transfer.js)
+ *   file_ready    { transferId, nextChunk }                    both ways
+ *   file_ack      { transferId, nextChunk }                    both ways
+ *   file_end      { transferId }                               both ways
+ *   file_result   { transferId, ok, error? }                   both ways
+ *   pdf_request   {}                                           phone -> Tahta
+ *   youtube       { url, videoId, start?, itemId? }            phone -> Tahta, start in seconds
+ *   link          { url, title, itemId? }                      phone -> Tahta
+ *   note          { source, blocks, itemId? }                  phone -> Tahta (notes.js)
+ *   receipt       { itemId, status, reason? }                  Tahta -> phone, see ReceiptStatus
+ *   question      { questionId, kind, text, options?,
+ *                   min?, max?, maxLength? }                   Tahta -> phone (questions.js)
+ *   answer        { questionId, value }                        phone -> Tahta
+ *   question_reveal { questionId, correct? }                   Tahta -> phone
+ *   question_close  { questionId }                             Tahta -> phone
+ *   control       { target, action, value? }                   phone -> Tahta (remote.js)
+ *   control_sync  {}                                           phone -> Tahta
+ *   control_state { target, title?, playing?, position?,
+ *                   duration?, volume?, page?, pageCount?,
+ *                   zoom? }                                    Tahta -> phone
+ *   pointer       { e, mode, x?, y?, dx?, dy? }                phone -> Tahta (pointer.js)
+ *   talk          { active }                                   phone -> Tahta (talk.js)
+ *
+ * participant and sender are { id, name } of the phone (participant.js), so
+ * Tahta can tell the phones of a room apart. Every message sent with
+ * sendData carries sender as well.
+ *
+ * A board with the receipts capability answers every item with receipts:
+ * files by their transferId, youtube / link / note by their itemId. The
+ * phone reports an item as sent only once it was received or displayed. A
+ * pending item is left with the board, its final receipt may come much later.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Features a board can advertise in its hello
+ */
+export const Capability = {
+    IMAGE: 'image',
+    AUDIO: 'audio',
+    PDF: 'pdf',
+    YOUTUBE: 'youtube',
+    LINK: 'link',
+    POINTER: 'pointer',
+    LIVE_VIDEO: 'live_video',
+    LIVE_AUDIO: 'live_audio',       // Push-to-talk audio track
+    VIDEO: 'video',                 // Recorded clips
+    DOCUMENT: 'document',
+    NOTE: 'note',
+    RECEIPTS: 'receipts',           // Receipt for every item, see ReceiptStatus
+    REMOTE: 'remote',               // Remote control of videos and documents on the board
+    RECEIVE_FILE: 'receive_file',   // Phone side: downloads files Tahta sends
+    QUESTIONS: 'questions'          // Phone side: answers polls and quizzes
+};
+
+/**
+ * Item states in Tahta's receipts
+ */
+export const ReceiptStatus = {
+    RECEIVED: 'received',       // Stored on the board
+    DISPLAYED: 'displayed',     // Shown on the board
+    PENDING: 'pending',         // Moderation: waiting for the teacher to approve it
+    REJECTED: 'rejected',       // The teacher declined it
+    FAILED: 'failed'            // The board could not handle it, reason says why
+};
+
+// Field types per message, '?' marks optional fields
+const SCHEMAS = {
+    hello: {
+        version: 'number', minVersion: 'number?', capabilities: 'array', limits: 'object?',
+        participant: 'object?', questionId: 'string?'
+    },
+    participant: { id: 'string', name: 'string' },
+    file_start: {
+        v: 'number', transferId: 'string', fileType: 'string', filename: 'string',
+        totalSize: 'number', chunkSize: 'number', totalChunks: 'number', sha256: 'string',
+        mimeType: 'string?', clip: 'object?', sender: 'object?'
+    },
+    file_ready: { transferId: 'string', nextChunk: 'number' },
+    file_ack: { transferId: 'string', nextChunk: 'number' },
+    file_end: { transferId: 'string' },
+    file_result: { transferId: 'string', ok: 'boolean', error: 'string?' },
+    pdf_request: {},
+    youtube: { url: 'string', videoId: 'string', start: 'number?', itemId: 'string?', sender: 'object?' },
+    link: { url: 'string', title: 'string', itemId: 'string?', sender: 'object?' },
+    note: { source: 'string', blocks: 'array', itemId: 'string?', sender: 'object?' },
+    receipt: { itemId: 'string', status: 'string', reason: 'string?' },
+    question: {
+        questionId: 'string', kind: 'string', text: 'string', options: 'array?',
+        min: 'number?', max: 'number?', maxLength: 'number?'
+    },
+    answer: { questionId: 'string', sender: 'object?' },
+    question_reveal: { questionId: 'string' },
+    question_close: { questionId: 'string' },
+    control: { target: 'string', action: 'string', value: 'number?' },
+    control_sync: {},
+    control_state: {
+        target: 'string', title: 'string?', playing: 'boolean?', position: 'number?',
+        duration: 'number?', volume: 'number?', page: 'number?', pageCount: 'number?', zoom: 'number?'
+    },
+    pointer: { e: 'string', mode: 'string', x: 'number?', y: 'number?', dx: 'number?', dy: 'number?' },
+    talk: { active: 'boolean', sender: 'object?' }
+};
+
+let nextMessageId = 1;
+
+/**
+ * Error for a message that does not follow the protocol
+ */
+function protocolError(message) {
+    const error = new Error(message);
+    error.code = 'bad_message';
+    return error;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Check message data against the schema of its type
+ * Types without a schema (added by a newer board) only need object data,
+ * the receiver ignores them.
+ * @throws bad_message error naming the first field that does not match
+ */
+export function validate(type, data) {
+    if (typeOf(data) !== 'object') throw protocolError(`${type}: data must be an object`);
+
+    const schema = SCHEMAS[type];
+    if (!schema) return;
+
+    Object.entries(schema).forEach(([field, spec]) => {
+        const optional = spec.endsWith('?');
+        const expected = optional ? spec.slice(0, -1) : spec;
+        const value = data[field];
+
+        if (value === undefined || (optional && value === null)) {
+            if (!optional) throw protocolError(`${type}: missing ${field}`);
+            return;
+        }
+        if (typeOf(value) !== expected) {
+            throw protocolError(`${type}: ${field} must be ${expected}`);
+        }
+    });
+}
+
+/**
+ * Wrap message data in an envelope, ready for the data channel
+ * @param {string} type - Message type
+ * @param {object} data - Message data
+ * @param {number} version - Protocol version agreed in hello
+ * @returns {string} JSON
+ */
+export function encodeMessage(type, data = {}, version = PROTOCOL_VERSION) {
+    return JSON.stringify({
+        v: version,
+        type: type,
+        id: nextMessageId++,
+        data: data
+    });
+}
+
+/**
+ * Parse and validate an envelope received on the data channel
+ * @param {string} text - JSON
+ * @param {number|null} version - Version agreed in hello, null before the hello
+ * @returns {{v: number, type: string, id: number, data: object}}
+ * @throws bad_message error, protocol_unsupported for an envelope of another version
+ */
+export function decodeMessage(text, version = null) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (e) {
+        throw protocolError('Message is not JSON');
+    }
+
+    if (typeOf(envelope) !== 'object') throw protocolError('Message is not an envelope');
+    if (typeOf(envelope.v) !== 'number') throw protocolError('Envelope without version');
+    if (typeOf(envelope.type) !== 'string') throw protocolError('Envelope without type');
+    if (version !== null && envelope.type !== 'hello' && envelope.v !== version) {
+        const error = new Error(`Envelope of protocol v${envelope.v}, v${version} was agreed`);
+        error.code = 'protocol_unsupported';
+        throw error;
+    }
+
+    validate(envelope.type, envelope.data);
+    return envelope;
+}
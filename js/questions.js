@@ -0,0 +1,103 @@
+/**
+ * Polls and quiz questions pushed from Tahta
+ *
+ * Tahta sends a question to every phone of the room, each phone answers once:
+ *
+ *   question         { questionId, kind, text, options?, min?, max?, maxLength? }
+ *   answer           { questionId, value }               phone -> Tahta
+ *   question_reveal  { questionId, correct? }            the board shows the results
+ *   question_close   { questionId }                      the question is over
+ *
+ * Tahta's hello names the question still open (questionId), so a phone that
+ * reconnects keeps its answered question and drops one that closed meanwhile.
+ *
+ * value (and correct) per kind: 'choice' the index of the option, 'true_false'
+ * a boolean, 'text' a string, 'number' a number. A poll has no correct answer.
+ */
+
+export const QuestionKind = {
+    CHOICE: 'choice',
+    TRUE_FALSE: 'true_false',
+    TEXT: 'text',
+    NUMBER: 'number'
+};
+
+export const MAX_TEXT_ANSWER = 200;
+const MAX_OPTIONS = 10;
+
+/**
+ * Check a question from Tahta
+ * @param {object} msg - question message data
+ * @returns {object|null} question with defaults filled in, null if it cannot be shown
+ */
+export function parseQuestion(msg) {
+    if (!Object.values(QuestionKind).includes(msg.kind)) return null;
+
+    const question = {
+        id: msg.questionId,
+        kind: msg.kind,
+        text: msg.text,
+        options: [],
+        min: typeof msg.min === 'number' ? msg.min : null,
+        max: typeof msg.max === 'number' ? msg.max : null,
+        maxLength: Math.min(msg.maxLength || MAX_TEXT_ANSWER, MAX_TEXT_ANSWER)
+    };
+
+    if (question.kind === QuestionKind.CHOICE) {
+        question.options = (msg.options || []).slice(0, MAX_OPTIONS).map(String);
+        if (question.options.length < 2) return null;
+    }
+    return question;
+}
+
+/**
+ * Turn what the user entered into an answer value
+ * @param {object} question - From parseQuestion
+ * @param {*} input - Option index, boolean or the typed text
+ * @returns {*} answer value
+ * @throws error with code 'answer_empty', 'answer_invalid' or 'answer_range'
+ */
+export function answerValue(question, input) {
+    const fail = (code) => {
+        const error = new Error(`Invalid answer: ${code}`);
+        error.code = code;
+        return error;
+    };
+
+    switch (question.kind) {
+        case QuestionKind.CHOICE:
+            return Number(input);
+        case QuestionKind.TRUE_FALSE:
+            return Boolean(input);
+        case QuestionKind.TEXT: {
+            const text = String(input).trim().slice(0, question.maxLength);
+            if (!text) throw fail('answer_empty');
+            return text;
+        }
+        case QuestionKind.NUMBER: {
+            // Decimal commas are common on phone keyboards
+            const text = String(input).trim().replace(',', '.');
+            const value = Number(text);
+            if (!text) throw fail('answer_empty');
+            if (!Number.isFinite(value)) throw fail('answer_invalid');
+            if ((question.min !== null && value < question.min) || (question.max !== null && value > question.max)) {
+                throw fail('answer_range');
+            }
+            return value;
+        }
+    }
+    return input;
+}
+
+/**
+ * Compare an answer with the revealed one
+ * @returns {boolean|null} null for polls and unanswered questions
+ */
+export function isCorrect(question, value, correct) {
+    if (correct === undefined || correct === null || value === null) return null;
+
+    if (question.kind === QuestionKind.TEXT) {
+        return String(value).trim().toLocaleLowerCase() === String(correct).trim().toLocaleLowerCase();
+    }
+    return value === correct;
+}
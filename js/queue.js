@@ -0,0 +1,180 @@
+/**
+ * Send queue for batching several items to Tahta
+ * Items are sent one at a time, in the order they were added
+ */
+
+let nextItemId = 1;
+
+/**
+ * Item status values
+ */
+export const ItemStatus = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+/**
+ * Send queue class
+ */
+export class SendQueue {
+    /**
+     * @param {Function} sender - async (item, onProgress) => void, sends a single item
+     */
+    constructor(sender) {
+        this.sender = sender;
+        this.items = [];
+        this.running = false;
+
+        // Callbacks
+        this.onChange = null;  // Called whenever an item or the queue changes
+    }
+
+    /**
+     * Add a file to the queue and start sending
+     * @param {File|Blob} file - File to send
+     * @param {string} name - Display name / filename
+     */
+    add(file, name = file.name) {
+        const item = {
+            id: nextItemId++,
+            file: file,
+            name: name,
+            status: ItemStatus.PENDING,
+            progress: 0,
+            error: null,
+            held: false     // Not sent while held (e.g. being edited)
+        };
+
+        this.items.push(item);
+        this.notify();
+        this.process();
+        return item;
+    }
+
+    /**
+     * Remove an item that is not currently being sent
+     */
+    remove(id) {
+        const item = this.get(id);
+        if (!item || item.status === ItemStatus.SENDING) return false;
+
+        this.items = this.items.filter(i => i.id !== id);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Put a failed item back into the queue
+     */
+    retry(id) {
+        const item = this.get(id);
+        if (!item || item.status !== ItemStatus.FAILED) return false;
+
+        item.status = ItemStatus.PENDING;
+        item.progress = 0;
+        item.error = null;
+        this.notify();
+        this.process();
+        return true;
+    }
+
+    /**
+     * Keep a pending or failed item from being sent
+     */
+    hold(id) {
+        const item = this.get(id);
+        if (!item || item.status === ItemStatus.SENDING || item.status === ItemStatus.DONE) return false;
+
+        item.held = true;
+        return true;
+    }
+
+    /**
+     * Let a held item be sent, optionally with a replacement file
+     */
+    release(id, file = null) {
+        const item = this.get(id);
+        if (!item || !item.held) return false;
+
+        item.held = false;
+        if (file) {
+            item.file = file;
+            item.status = ItemStatus.PENDING;
+            item.progress = 0;
+            item.error = null;
+        }
+        this.notify();
+        this.process();
+        return true;
+    }
+
+    /**
+     * Remove all items that were sent successfully
+     */
+    clearDone() {
+        this.items = this.items.filter(i => i.status !== ItemStatus.DONE);
+        this.notify();
+    }
+
+    /**
+     * Find item by id
+     */
+    get(id) {
+        return this.items.find(i => i.id === id) || null;
+    }
+
+    /**
+     * Overall progress of the queue, 0..1
+     */
+    get progress() {
+        if (this.items.length === 0) return 0;
+        const total = this.items.reduce((sum, i) => {
+            return sum + (i.status === ItemStatus.DONE ? 1 : i.progress);
+        }, 0);
+        return total / this.items.length;
+    }
+
+    /**
+     * Number of items in the given status
+     */
+    count(status) {
+        return this.items.filter(i => i.status === status).length;
+    }
+
+    /**
+     * Send pending items one by one
+     */
+    async process() {
+        if (this.running) return;
+        this.running = true;
+
+        let item;
+        while ((item = this.items.find(i => i.status === ItemStatus.PENDING && !i.held))) {
+            item.status = ItemStatus.SENDING;
+            item.progress = 0;
+            this.notify();
+
+            try {
+                await this.sender(item, (p) => {
+                    item.progress = p;
+                    this.notify();
+                });
+                item.status = ItemStatus.DONE;
+                item.progress = 1;
+            } catch (e) {
+                console.error('Queue send error:', e);
+                item.status = ItemStatus.FAILED;
+                item.error = e;
+            }
+            this.notify();
+        }
+
+        this.running = false;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this);
+    }
+}
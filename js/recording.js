@@ -0,0 +1,177 @@
+/**
+ * Clip recording with MediaRecorder
+ *
+ * Browsers record different containers: Chrome and Firefox WebM/Opus, Safari
+ * (iOS included) only MP4/AAC. The first type of a list that the browser
+ * supports is used, and the file gets the matching extension so Tahta can
+ * pick a decoder by name.
+ */
+
+export const AUDIO_DEFAULTS = {
+    maxDuration: 300    // seconds, recording stops by itself
+};
+
+// Most preferred first
+export const AUDIO_TYPES = [
+    { mimeType: 'audio/webm;codecs=opus', ext: 'webm' },
+    { mimeType: 'audio/webm', ext: 'webm' },
+    { mimeType: 'audio/mp4;codecs=mp4a.40.2', ext: 'm4a' },
+    { mimeType: 'audio/mp4', ext: 'm4a' },
+    { mimeType: 'audio/ogg;codecs=opus', ext: 'ogg' }
+];
+
+export const VIDEO_DEFAULTS = {
+    maxDuration: 60,                // seconds
+    maxSize: 100 * 1024 * 1024,     // 100MB, Tahta can lower it in its hello (limits.maxFileSize)
+    bitsPerSecond: 2500000          // about 19MB per minute
+};
+
+// VP8 before VP9, phones encode it in hardware
+export const VIDEO_TYPES = [
+    { mimeType: 'video/webm;codecs=vp8,opus', ext: 'webm' },
+    { mimeType: 'video/webm;codecs=vp9,opus', ext: 'webm' },
+    { mimeType: 'video/webm', ext: 'webm' },
+    { mimeType: 'video/mp4;codecs=avc1.42E01E,mp4a.40.2', ext: 'mp4' },
+    { mimeType: 'video/mp4', ext: 'mp4' }
+];
+
+/**
+ * First type the browser can record
+ * @param {Array} types - Candidates, e.g. AUDIO_TYPES
+ * @returns {{mimeType: string, ext: string}}
+ * @throws recording_unsupported error
+ */
+export function pickRecordingType(types) {
+    const type = typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported
+        ? types.find(candidate => MediaRecorder.isTypeSupported(candidate.mimeType))
+        : null;
+
+    if (!type) {
+        const error = new Error('No supported recording format');
+        error.code = 'recording_unsupported';
+        throw error;
+    }
+    return type;
+}
+
+/**
+ * MIME type without codec parameters, e.g. 'audio/mp4'
+ */
+export function baseMimeType(mimeType) {
+    return mimeType.split(';')[0].trim();
+}
+
+/**
+ * Records a stream into a single blob, with a seconds counter and a limit
+ * The stream belongs to the caller, its tracks are not stopped here.
+ */
+export class ClipRecorder {
+    /**
+     * @param {MediaStream} stream - Stream to record
+     * @param {{mimeType: string, ext: string}} type - From pickRecordingType
+     * @param {number} maxDuration - Seconds, 0 for no limit
+     * @param {number} bitsPerSecond - Target bitrate, 0 for the browser default
+     * @param {number} maxSize - Bytes, 0 for no limit
+     */
+    constructor(stream, type, maxDuration = 0, bitsPerSecond = 0, maxSize = 0) {
+        this.stream = stream;
+        this.type = type;
+        this.maxDuration = maxDuration;
+        this.bitsPerSecond = bitsPerSecond;
+        this.maxSize = maxSize;
+        this.recorder = null;
+        this.chunks = [];
+        this.size = 0;          // Bytes recorded so far
+        this.limitReached = false;
+        this.seconds = 0;
+        this.timer = null;
+        this.startedAt = 0;
+        this.duration = 0;      // Seconds, set by stop(); WebM from Chrome has no duration in its header
+
+        // Callbacks
+        this.onTick = null;     // Called with the elapsed seconds
+        this.onLimit = null;    // Called once when maxDuration or maxSize is reached
+    }
+
+    start() {
+        const options = { mimeType: this.type.mimeType };
+        if (this.bitsPerSecond) options.bitsPerSecond = this.bitsPerSecond;
+
+        this.recorder = new MediaRecorder(this.stream, options);
+        this.chunks = [];
+        this.size = 0;
+        this.limitReached = false;
+        this.seconds = 0;
+        this.startedAt = performance.now();
+
+        this.recorder.ondataavailable = e => {
+            if (e.data.size === 0) return;
+            this.chunks.push(e.data);
+            this.size += e.data.size;
+            // Stopping flushes one more chunk, stop while there is room for it
+            if (this.maxSize && this.size + e.data.size >= this.maxSize) this.limit();
+        };
+
+        this.recorder.start(1000);
+        this.timer = setInterval(() => {
+            this.seconds++;
+            if (this.onTick) this.onTick(this.seconds);
+            if (this.maxDuration && this.seconds === this.maxDuration) this.limit();
+        }, 1000);
+    }
+
+    limit() {
+        if (this.limitReached) return;
+        this.limitReached = true;
+        if (this.onLimit) this.onLimit();
+    }
+
+    get isRecording() {
+        return Boolean(this.recorder) && this.recorder.state !== 'inactive';
+    }
+
+    /**
+     * Stop and collect the recording
+     * @returns {Promise<Blob>}
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.duration = (performance.now() - this.startedAt) / 1000;
+
+        return new Promise((resolve, reject) => {
+            const done = () => resolve(new Blob(this.chunks, {
+                type: baseMimeType(this.recorder.mimeType || this.type.mimeType)
+            }));
+
+            if (!this.isRecording) {
+                done();
+                return;
+            }
+            this.recorder.onstop = done;
+            this.recorder.onerror = e => reject(e.error || new Error('Recording failed'));
+            this.recorder.stop();
+        });
+    }
+
+    /**
+     * Stop and throw the recording away
+     */
+    cancel() {
+        clearInterval(this.timer);
+        if (this.isRecording) {
+            this.recorder.onstop = null;
+            this.recorder.stop();
+        }
+        this.chunks = [];
+    }
+}
+
+/**
+ * Seconds as m:ss
+ */
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${s.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,165 @@
+/**
+ * Remote control for what is open on the board
+ *
+ * Videos (YouTube, sent clips) and documents / slides are controlled with
+ * control messages, Tahta answers with control_state whenever something
+ * changes so the phone shows what the board shows:
+ *
+ *   control        { target, action, value? }     phone -> Tahta
+ *   control_sync   {}                             phone -> Tahta, asks for control_state
+ *   control_state  { target, title?, ... }        Tahta -> phone
+ *
+ * media:    play, pause, seek (value: seconds), volume (value: 0..1)
+ *           state { playing, position, duration, volume }
+ * document: next, prev, page (value: page number), zoom (value: factor, 1 = fit)
+ *           state { page, pageCount, zoom }
+ *
+ * target 'none' in a state means nothing controllable is open.
+ */
+
+export const RemoteTarget = {
+    MEDIA: 'media',
+    DOCUMENT: 'document',
+    NONE: 'none'
+};
+
+export const ZOOM_STEP = 1.25;
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 5;
+
+// Slider commands (seek, volume) while dragging, the last value wins
+const SLIDER_INTERVAL = 150;
+
+const YOUTUBE_REGEX = /(?:youtube\.com\/(?:watch\?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
+
+/**
+ * Start time of a YouTube link: '90', '90s', '1m30s', '1h2m3s'
+ * @returns {number} seconds, 0 if missing or unreadable
+ */
+export function parseStartTime(value) {
+    if (!value) return 0;
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+    if (!match) return 0;
+    const [, h = 0, m = 0, s = 0] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+/**
+ * Video id and start time of a YouTube link
+ * @param {string} url - Link as typed or shared
+ * @returns {{videoId: string, start: number}|null} null if it is not a YouTube video
+ */
+export function parseYoutubeUrl(url) {
+    const match = url.match(YOUTUBE_REGEX);
+    if (!match) return null;
+
+    let start = 0;
+    try {
+        const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+        const hash = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+        start = parseStartTime(parsed.searchParams.get('t') || parsed.searchParams.get('start') || hash.get('t'));
+    } catch (e) {
+        // Not a full URL, the id is enough
+    }
+    return { videoId: match[1], start: start };
+}
+
+/**
+ * Remote state and commands for one connection
+ */
+export class RemoteControl {
+    /**
+     * @param {WebRTCClient} rtc - Connected client
+     */
+    constructor(rtc) {
+        this.rtc = rtc;
+        this.state = { target: RemoteTarget.NONE };
+        this.receivedAt = 0;
+        this.pendingSlider = null;
+        this.sliderTimer = null;
+        this.lastSliderSent = 0;
+
+        // Callbacks
+        this.onState = null;    // Called with the new state from Tahta
+    }
+
+    /**
+     * Ask Tahta for its current state
+     */
+    sync() {
+        this.rtc.requestControlState();
+    }
+
+    /**
+     * State from Tahta
+     */
+    update(state) {
+        this.state = state;
+        this.receivedAt = performance.now();
+        if (this.onState) this.onState(state);
+    }
+
+    /**
+     * Playback position now, moved on from the last state while playing
+     */
+    get position() {
+        const { position = 0, duration = 0, playing } = this.state;
+        if (!playing) return position;
+        const elapsed = (performance.now() - this.receivedAt) / 1000;
+        return duration ? Math.min(duration, position + elapsed) : position + elapsed;
+    }
+
+    /**
+     * Send a command right away
+     * @param {string} action - e.g. 'play', 'next'
+     * @param {number} value - For seek, volume, page and zoom
+     */
+    send(action, value = null) {
+        const command = { target: this.state.target, action: action };
+        if (value !== null) command.value = value;
+        this.rtc.sendControl(command);
+    }
+
+    /**
+     * Send a slider command, at most every SLIDER_INTERVAL
+     */
+    slide(action, value) {
+        this.pendingSlider = { action, value };
+        if (this.sliderTimer) return;
+
+        const wait = Math.max(0, this.lastSliderSent + SLIDER_INTERVAL - performance.now());
+        this.sliderTimer = setTimeout(() => this.flushSlider(), wait);
+    }
+
+    flushSlider() {
+        clearTimeout(this.sliderTimer);
+        this.sliderTimer = null;
+        if (!this.pendingSlider) return;
+
+        const { action, value } = this.pendingSlider;
+        this.pendingSlider = null;
+        this.lastSliderSent = performance.now();
+        try {
+            this.send(action, value);
+        } catch (e) {
+            console.warn('Could not send remote command:', e.message);
+        }
+    }
+
+    /**
+     * Zoom one step in (+1) or out (-1)
+     */
+    zoom(direction) {
+        const current = this.state.zoom || MIN_ZOOM;
+        const next = direction > 0 ? current * ZOOM_STEP : current / ZOOM_STEP;
+        this.send('zoom', Math.round(Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, next)) * 100) / 100);
+    }
+
+    close() {
+        clearTimeout(this.sliderTimer);
+        this.sliderTimer = null;
+        this.pendingSlider = null;
+    }
+}
@@ -0,0 +1,455 @@
+/**
+ * Document scanner: page corner detection, perspective correction and enhancement
+ * Everything runs on canvases in the browser.
+ */
+
+const DETECT_SIZE = 320;        // Longest side of the image used for detection
+const MIN_PAGE_AREA = 0.15;     // Smaller bright regions are not taken as the page
+const MAX_OUTPUT_SIZE = 2400;   // Longest side of the corrected page
+const HANDLE_RADIUS = 14;       // Corner handle size in CSS pixels
+
+/**
+ * Draw a source into a new canvas, optionally scaled
+ */
+function toCanvas(source, width = source.width, height = source.height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Otsu threshold of a grayscale image
+ */
+function otsuThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 127;
+
+    for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+        const weightForeground = gray.length - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+        if (between > best) {
+            best = between;
+            threshold = i;
+        }
+    }
+    return threshold;
+}
+
+/**
+ * Grayscale (luma) values of RGBA image data
+ */
+function toGray(data) {
+    const gray = new Uint8Array(data.length / 4);
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        gray[j] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+    }
+    return gray;
+}
+
+/**
+ * Default corners when no page is found: slightly inset from the image edges
+ */
+export function defaultCorners(width, height) {
+    const mx = width * 0.05;
+    const my = height * 0.05;
+    return [
+        { x: mx, y: my },
+        { x: width - mx, y: my },
+        { x: width - mx, y: height - my },
+        { x: mx, y: height - my }
+    ];
+}
+
+/**
+ * Find the page corners in an image
+ * The page is taken to be the largest bright region, its corners the extreme
+ * points along the two diagonals.
+ * @param {HTMLCanvasElement|ImageBitmap|HTMLImageElement} source - Photo
+ * @returns {Array<{x: number, y: number}>} Corners in source pixels: top-left, top-right, bottom-right, bottom-left
+ */
+export function detectCorners(source) {
+    const scale = Math.min(1, DETECT_SIZE / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    const canvas = toCanvas(source, width, height);
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    const gray = toGray(data);
+    const threshold = otsuThreshold(gray);
+
+    // Largest 4-connected bright region
+    const labels = new Int32Array(gray.length);
+    const stack = new Int32Array(gray.length);
+    let bestLabel = 0;
+    let bestSize = 0;
+    let label = 0;
+
+    for (let start = 0; start < gray.length; start++) {
+        if (labels[start] || gray[start] <= threshold) continue;
+
+        label++;
+        let size = 0;
+        let top = 0;
+        stack[top++] = start;
+        labels[start] = label;
+
+        while (top > 0) {
+            const i = stack[--top];
+            size++;
+            const x = i % width;
+            const neighbours = [
+                x > 0 ? i - 1 : -1,
+                x < width - 1 ? i + 1 : -1,
+                i - width,
+                i + width
+            ];
+            for (const n of neighbours) {
+                if (n >= 0 && n < gray.length && !labels[n] && gray[n] > threshold) {
+                    labels[n] = label;
+                    stack[top++] = n;
+                }
+            }
+        }
+
+        if (size > bestSize) {
+            bestSize = size;
+            bestLabel = label;
+        }
+    }
+
+    if (bestSize < gray.length * MIN_PAGE_AREA) {
+        return defaultCorners(source.width, source.height);
+    }
+
+    // Extreme points along the diagonals
+    const corners = [null, null, null, null];
+    const scores = [Infinity, -Infinity, -Infinity, Infinity];
+
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] !== bestLabel) continue;
+        const x = i % width;
+        const y = (i - x) / width;
+
+        if (x + y < scores[0]) { scores[0] = x + y; corners[0] = { x, y }; }
+        if (x - y > scores[1]) { scores[1] = x - y; corners[1] = { x, y }; }
+        if (x + y > scores[2]) { scores[2] = x + y; corners[2] = { x, y }; }
+        if (x - y < scores[3]) { scores[3] = x - y; corners[3] = { x, y }; }
+    }
+
+    return corners.map(p => ({ x: (p.x + 0.5) / scale, y: (p.y + 0.5) / scale }));
+}
+
+/**
+ * Solve the homography that maps the unit square onto the quad
+ * (projective mapping from Heckbert, "Fundamentals of Texture Mapping")
+ */
+function squareToQuad([p0, p1, p2, p3]) {
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const sx = p0.x - p1.x + p2.x - p3.x;
+    const sy = p0.y - p1.y + p2.y - p3.y;
+    const det = dx1 * dy2 - dx2 * dy1;
+
+    const g = (sx * dy2 - dx2 * sy) / det;
+    const h = (dx1 * sy - sx * dy1) / det;
+
+    return [
+        p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+        p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+        g, h
+    ];
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Warp the quad inside the source to a flat rectangle
+ * @param {HTMLCanvasElement|ImageBitmap|HTMLImageElement} source - Photo
+ * @param {Array<{x: number, y: number}>} corners - top-left, top-right, bottom-right, bottom-left
+ * @returns {HTMLCanvasElement} Corrected page
+ */
+export function warpPerspective(source, corners) {
+    const [tl, tr, br, bl] = corners;
+    let width = Math.max(distance(tl, tr), distance(bl, br));
+    let height = Math.max(distance(tl, bl), distance(tr, br));
+
+    const scale = Math.min(1, MAX_OUTPUT_SIZE / Math.max(width, height));
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
+
+    const src = toCanvas(source);
+    const srcData = src.getContext('2d').getImageData(0, 0, src.width, src.height).data;
+    const srcWidth = src.width;
+    const srcHeight = src.height;
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const outCtx = output.getContext('2d');
+    const outImage = outCtx.createImageData(width, height);
+    const out = outImage.data;
+
+    const [a, b, c, d, e, f, g, h] = squareToQuad(corners);
+
+    for (let v = 0; v < height; v++) {
+        const ty = (v + 0.5) / height;
+        for (let u = 0; u < width; u++) {
+            const tx = (u + 0.5) / width;
+            const w = g * tx + h * ty + 1;
+            const x = Math.min(Math.max((a * tx + b * ty + c) / w - 0.5, 0), srcWidth - 1);
+            const y = Math.min(Math.max((d * tx + e * ty + f) / w - 0.5, 0), srcHeight - 1);
+
+            // Bilinear sample
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            const x1 = Math.min(x0 + 1, srcWidth - 1);
+            const y1 = Math.min(y0 + 1, srcHeight - 1);
+            const fx = x - x0;
+            const fy = y - y0;
+
+            const i00 = (y0 * srcWidth + x0) * 4;
+            const i10 = (y0 * srcWidth + x1) * 4;
+            const i01 = (y1 * srcWidth + x0) * 4;
+            const i11 = (y1 * srcWidth + x1) * 4;
+            const o = (v * width + u) * 4;
+
+            for (let k = 0; k < 3; k++) {
+                const top = srcData[i00 + k] + (srcData[i10 + k] - srcData[i00 + k]) * fx;
+                const bottom = srcData[i01 + k] + (srcData[i11 + k] - srcData[i01 + k]) * fx;
+                out[o + k] = top + (bottom - top) * fy;
+            }
+            out[o + 3] = 255;
+        }
+    }
+
+    outCtx.putImageData(outImage, 0, 0);
+    return output;
+}
+
+/**
+ * Enhance a scanned page
+ * @param {HTMLCanvasElement} canvas - Corrected page
+ * @param {string} mode - 'none', 'contrast' (stretch levels) or 'bw' (adaptive black and white)
+ * @returns {HTMLCanvasElement} New canvas
+ */
+export function enhance(canvas, mode) {
+    const output = toCanvas(canvas);
+    if (mode === 'none') return output;
+
+    const ctx = output.getContext('2d');
+    const image = ctx.getImageData(0, 0, output.width, output.height);
+    const data = image.data;
+    const gray = toGray(data);
+
+    if (mode === 'contrast') {
+        // Stretch between the 2nd and 98th percentile of brightness
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+        let low = 0;
+        let high = 255;
+        for (let i = 0, count = 0; i < 256; i++) {
+            count += histogram[i];
+            if (count > gray.length * 0.02) { low = i; break; }
+        }
+        for (let i = 255, count = 0; i >= 0; i--) {
+            count += histogram[i];
+            if (count > gray.length * 0.02) { high = i; break; }
+        }
+
+        const range = Math.max(high - low, 1);
+        for (let i = 0; i < data.length; i += 4) {
+            for (let k = 0; k < 3; k++) {
+                data[i + k] = Math.min(255, Math.max(0, (data[i + k] - low) * 255 / range));
+            }
+        }
+    } else if (mode === 'bw') {
+        // Bradley adaptive threshold: darker than the local mean is ink
+        const width = output.width;
+        const height = output.height;
+        const integral = new Float64Array((width + 1) * (height + 1));
+
+        for (let y = 0; y < height; y++) {
+            let row = 0;
+            for (let x = 0; x < width; x++) {
+                row += gray[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+            }
+        }
+
+        const half = Math.max(4, Math.round(width / 16));
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const area = (x1 - x0) * (y1 - y0);
+                const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+                            integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+
+                const value = gray[y * width + x] * area < sum * 0.85 ? 0 : 255;
+                const i = (y * width + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = value;
+            }
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return output;
+}
+
+/**
+ * Draw a source centered into a canvas, keeping its aspect ratio
+ * @returns {{scale: number, offsetX: number, offsetY: number}} Mapping from source to canvas pixels
+ */
+export function drawFitted(canvas, source) {
+    const ctx = canvas.getContext('2d');
+    const scale = Math.min(canvas.width / source.width, canvas.height / source.height);
+    const offsetX = (canvas.width - source.width * scale) / 2;
+    const offsetY = (canvas.height - source.height * scale) / 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, offsetX, offsetY, source.width * scale, source.height * scale);
+    return { scale, offsetX, offsetY };
+}
+
+/**
+ * Canvas with draggable page corners
+ */
+export class CornerEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas shown in the scan view
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.source = null;
+        this.corners = [];
+        this.mapping = null;
+        this.active = -1;   // Corner being dragged
+
+        canvas.addEventListener('pointerdown', e => this.handleDown(e));
+        canvas.addEventListener('pointermove', e => this.handleMove(e));
+        canvas.addEventListener('pointerup', () => { this.active = -1; });
+        canvas.addEventListener('pointercancel', () => { this.active = -1; });
+    }
+
+    /**
+     * Show an image with editable corners
+     */
+    setImage(source, corners) {
+        this.source = source;
+        this.corners = corners.map(p => ({ ...p }));
+        this.resize();
+        this.draw();
+    }
+
+    /**
+     * Match the canvas resolution to its displayed size
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = Math.round(rect.width * ratio);
+        this.canvas.height = Math.round(rect.height * ratio);
+    }
+
+    draw() {
+        if (!this.source) return;
+
+        this.mapping = drawFitted(this.canvas, this.source);
+        const ctx = this.canvas.getContext('2d');
+        const points = this.corners.map(p => this.toCanvas(p));
+        const ratio = window.devicePixelRatio || 1;
+
+        // Page outline
+        ctx.beginPath();
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(34, 197, 94, 0.15)';
+        ctx.fill();
+        ctx.lineWidth = 2 * ratio;
+        ctx.strokeStyle = '#22c55e';
+        ctx.stroke();
+
+        // Handles
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, HANDLE_RADIUS * ratio * 0.6, 0, Math.PI * 2);
+            ctx.fillStyle = 'white';
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+
+    toCanvas(p) {
+        const { scale, offsetX, offsetY } = this.mapping;
+        return { x: p.x * scale + offsetX, y: p.y * scale + offsetY };
+    }
+
+    fromEvent(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = this.canvas.width / rect.width;
+        const { scale, offsetX, offsetY } = this.mapping;
+        const x = ((e.clientX - rect.left) * ratio - offsetX) / scale;
+        const y = ((e.clientY - rect.top) * ratio - offsetY) / scale;
+        return {
+            x: Math.min(Math.max(x, 0), this.source.width),
+            y: Math.min(Math.max(y, 0), this.source.height)
+        };
+    }
+
+    handleDown(e) {
+        if (!this.mapping) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = this.canvas.width / rect.width;
+        const pointer = { x: (e.clientX - rect.left) * ratio, y: (e.clientY - rect.top) * ratio };
+
+        // Nearest corner within reach of a finger
+        let nearest = -1;
+        let nearestDistance = HANDLE_RADIUS * 2.5 * ratio;
+        this.corners.forEach((corner, i) => {
+            const d = distance(this.toCanvas(corner), pointer);
+            if (d < nearestDistance) {
+                nearest = i;
+                nearestDistance = d;
+            }
+        });
+
+        if (nearest >= 0) {
+            this.active = nearest;
+            this.canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        }
+    }
+
+    handleMove(e) {
+        if (this.active < 0) return;
+        e.preventDefault();
+        this.corners[this.active] = this.fromEvent(e);
+        this.draw();
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * End-to-end encrypted signaling
+ *
+ * The QR link carries a random secret in the URL fragment (#k=...), which
+ * browsers never send to a server. Phone and Tahta derive two AES-GCM keys
+ * from it with HKDF, one per direction, and seal every signaling record that
+ * describes the session:
+ *
+ *   phone/sdp, phone/ice_candidates,
+ *   phone/name                            sealed with the phone -> Tahta key
+ *   tahta/sdp, tahta/ice_candidates,
+ *   tahta/pairing, ice, pairing           sealed with the Tahta -> phone key
+ *
+ * A sealed record is { sealed, iv } (base64). The record path, including the
+ * participant (participants/{id}/phone/sdp), is authenticated as additional
+ * data, so a record cannot be moved to another path unnoticed.
+ * Records that do not open are dropped, which leaves a tampering database
+ * without the link nothing to inject.
+ *
+ * The keys protect the room from outsiders, not the phones of a room from
+ * each other: every phone that opened the link derives the same keys, so it
+ * can read and forge the records of any other participant, including the
+ * answer whose fingerprint WebRTCClient checks. Sealing the room's pairing record authenticates the
+ * board's pairing key (see pairing.js). The statuses stay in plain text, they
+ * carry no session data.
+ *
+ * Because the answer is authenticated, so is the DTLS fingerprint in it.
+ * WebRTCClient (verifyFingerprint option) checks the certificate the data
+ * channel actually runs over against that fingerprint, so data channel
+ * payloads are end-to-end encrypted with the board from the QR code, as far
+ * as nobody else holding the link interferes.
+ */
+
+import { Signaling } from './signaling.js';
+
+const SALT_PREFIX = 'tahta-signaling:';
+const PHONE_TO_TAHTA = 'phone->tahta';
+const TAHTA_TO_PHONE = 'tahta->phone';
+const MIN_SECRET_BYTES = 16;
+
+function toBase64(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const normalized = text.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = normalized + '='.repeat((4 - normalized.length % 4) % 4);
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+/**
+ * Read the secret from the URL fragment (#k=<base64url>)
+ * @returns {Uint8Array|null} null if the link has no secret
+ */
+export function readSecret(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const value = params.get('k');
+    if (!value) return null;
+
+    const secret = fromBase64(value);
+    if (secret.length < MIN_SECRET_BYTES) throw new Error('Signaling secret too short');
+    return secret;
+}
+
+/**
+ * Derive the two direction keys for a room
+ * @param {Uint8Array} secret - Secret from the QR link
+ * @param {string} roomId - Room id, used as HKDF salt
+ * @returns {Promise<{send: CryptoKey, receive: CryptoKey}>} keys as seen from the phone
+ */
+export async function deriveKeys(secret, roomId) {
+    const master = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    const salt = new TextEncoder().encode(SALT_PREFIX + roomId);
+
+    const derive = (info, usage) => crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: salt, info: new TextEncoder().encode(info) },
+        master,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [usage]
+    );
+
+    return {
+        send: await derive(PHONE_TO_TAHTA, 'encrypt'),
+        receive: await derive(TAHTA_TO_PHONE, 'decrypt')
+    };
+}
+
+/**
+ * Signaling decorator that seals records on the way out and opens them on the way in
+ */
+export class SecureSignaling extends Signaling {
+    /**
+     * @param {Signaling} inner - Backend that stores the sealed records
+     * @param {{send: CryptoKey, receive: CryptoKey}} keys - From deriveKeys
+     */
+    constructor(inner, keys) {
+        super(inner.roomId, inner.participantId);
+        this.inner = inner;
+        this.keys = keys;
+    }
+
+    /**
+     * Authenticated path of a participant record
+     * Binds a record to its place in the room, not to a phone (see above).
+     */
+    recordPath(path) {
+        return `participants/${this.participantId}/${path}`;
+    }
+
+    /**
+     * Encrypt a value for a record path
+     */
+    async seal(path, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = new TextEncoder().encode(JSON.stringify(value));
+        const sealed = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(path) },
+            this.keys.send,
+            data
+        );
+        return { sealed: toBase64(sealed), iv: toBase64(iv) };
+    }
+
+    /**
+     * Decrypt a record, throws if it was not sealed for this path with our key
+     */
+    async open(path, record) {
+        if (!record || !record.sealed || !record.iv) throw new Error(`Unsealed record at ${path}`);
+
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(record.iv), additionalData: new TextEncoder().encode(path) },
+            this.keys.receive,
+            fromBase64(record.sealed)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * Wrap a callback so it only sees records that open
+     */
+    opened(path, callback) {
+        return (record) => {
+            this.open(path, record).then(callback, (error) => {
+                console.warn('Dropped signaling record:', path, error.message);
+            });
+        };
+    }
+
+    async setOffer(sdp) {
+        return this.inner.setOffer(await this.seal(this.recordPath('phone/sdp'), sdp));
+    }
+
+    async addIceCandidate(candidate) {
+        return this.inner.addIceCandidate(await this.seal(this.recordPath('phone/ice_candidates'), candidate));
+    }
+
+    async clearIceCandidates() {
+        return this.inner.clearIceCandidates();
+    }
+
+    onAnswer(callback) {
+        this.inner.onAnswer(this.opened(this.recordPath('tahta/sdp'), callback));
+    }
+
+    onRemoteIceCandidate(callback) {
+        this.inner.onRemoteIceCandidate(this.opened(this.recordPath('tahta/ice_candidates'), callback));
+    }
+
+    onStatusChange(callback) {
+        this.inner.onStatusChange(callback);
+    }
+
+    onPairingResult(callback) {
+        this.inner.onPairingResult(this.opened(this.recordPath('tahta/pairing'), callback));
+    }
+
+    /**
+     * A pairing record that does not open counts as missing
+     */
+    async getPairing() {
+        const record = await this.inner.getPairing();
+        if (!record) return null;
+
+        try {
+            return await this.open('pairing', record);
+        } catch (error) {
+            console.warn('Dropped pairing record:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * A room without ICE config is fine, one that does not open is ignored
+     */
+    async getIceConfig() {
+        const record = await this.inner.getIceConfig();
+        if (!record) return null;
+
+        try {
+            return await this.open('ice', record);
+        } catch (error) {
+            console.warn('Dropped ICE config:', error.message);
+            return null;
+        }
+    }
+
+    async checkRoom() {
+        return this.inner.checkRoom();
+    }
+
+    async updateStatus(status) {
+        return this.inner.updateStatus(status);
+    }
+
+    async setName(name) {
+        return this.inner.setName(await this.seal(this.recordPath('phone/name'), name));
+    }
+
+    cleanup() {
+        this.inner.cleanup();
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * Signaling interface between phone and Tahta
+ *
+ * A backend stores the offer / answer and ICE candidates of a room so both
+ * sides can find each other. Every phone is a participant with its own
+ * subtree and peer connection (see participant.js), so several phones can
+ * share a room. Backends share the room layout:
+ *
+ *   rooms/{roomId}/status                 room status from Tahta
+ *   rooms/{roomId}/ice                    ICE config from Tahta (optional):
+ *                                         { iceServers: [{ urls, username, credential }], iceTransportPolicy }
+ *   rooms/{roomId}/pairing                pairing nonce and expiry from Tahta (see pairing.js)
+ *   rooms/{roomId}/participants/{id}/     one subtree per phone ({peer} below)
+ *
+ *   {peer}/phone/sdp                      offer from phone, with the pairing proof
+ *   {peer}/phone/ice_candidates           ICE candidates from phone (list)
+ *   {peer}/phone/name                     display name
+ *   {peer}/phone/status                   phone status
+ *   {peer}/tahta/sdp                      answer from Tahta
+ *   {peer}/tahta/ice_candidates           ICE candidates from Tahta (list)
+ *   {peer}/tahta/pairing                  Tahta's verdict on the phone's pairing proof
+ *
+ * Backends: 'firebase' (firebase.js) and 'websocket' (websocket-signaling.js,
+ * server in server/signaling-server.js). When the QR link has a secret,
+ * SecureSignaling (secure-signaling.js) wraps the backend and seals the records.
+ */
+
+/**
+ * Base class for signaling backends
+ */
+export class Signaling {
+    /**
+     * @param {string} roomId - Room id
+     * @param {string} participantId - This phone's id in the room
+     */
+    constructor(roomId, participantId) {
+        this.roomId = roomId;
+        this.participantId = participantId;
+        this.peerRoot = `rooms/${roomId}/participants/${participantId}`;
+    }
+
+    /**
+     * Publish the SDP offer from phone
+     * @param {{type: string, sdp: string}} sdp - Offer
+     * @returns {Promise<boolean>} true if stored
+     */
+    async setOffer(sdp) {
+        throw new Error('setOffer not implemented');
+    }
+
+    /**
+     * Publish an ICE candidate from phone
+     * @param {{candidate: string, sdpMid: string, sdpMLineIndex: number}} candidate
+     * @returns {Promise<boolean>} true if stored
+     */
+    async addIceCandidate(candidate) {
+        throw new Error('addIceCandidate not implemented');
+    }
+
+    /**
+     * Remove ICE candidates from an earlier peer connection before renegotiating
+     * @returns {Promise<boolean>} true if removed
+     */
+    async clearIceCandidates() {
+        throw new Error('clearIceCandidates not implemented');
+    }
+
+    /**
+     * Listen for the SDP answer from Tahta, called again for every new answer
+     * @param {Function} callback - ({type, sdp}) => void
+     */
+    onAnswer(callback) {
+        throw new Error('onAnswer not implemented');
+    }
+
+    /**
+     * Listen for ICE candidates from Tahta, each candidate is passed once
+     * @param {Function} callback - (candidate) => void
+     */
+    onRemoteIceCandidate(callback) {
+        throw new Error('onRemoteIceCandidate not implemented');
+    }
+
+    /**
+     * Listen for room status changes
+     * @param {Function} callback - (status) => void
+     */
+    onStatusChange(callback) {
+        throw new Error('onStatusChange not implemented');
+    }
+
+    /**
+     * Check if room exists
+     * @returns {Promise<boolean>}
+     */
+    async checkRoom() {
+        throw new Error('checkRoom not implemented');
+    }
+
+    /**
+     * Read the pairing Tahta published for the room
+     * @returns {Promise<{nonce: string, expiresAt: number, usedBy: string}|null>} null if none
+     */
+    async getPairing() {
+        throw new Error('getPairing not implemented');
+    }
+
+    /**
+     * Listen for Tahta's verdict on the pairing proof sent with the offer
+     * @param {Function} callback - ({session, ok, reason}) => void
+     */
+    onPairingResult(callback) {
+        throw new Error('onPairingResult not implemented');
+    }
+
+    /**
+     * Read the ICE config Tahta published for the room
+     * @returns {Promise<{iceServers: Array, iceTransportPolicy: string}|null>} null if none
+     */
+    async getIceConfig() {
+        throw new Error('getIceConfig not implemented');
+    }
+
+    /**
+     * Update the phone's status
+     * @param {string} status - e.g. 'connected'
+     * @returns {Promise<boolean>} true if stored
+     */
+    async updateStatus(status) {
+        throw new Error('updateStatus not implemented');
+    }
+
+    /**
+     * Publish the phone's display name
+     * @param {string} name - Display name
+     * @returns {Promise<boolean>} true if stored
+     */
+    async setName(name) {
+        throw new Error('setName not implemented');
+    }
+
+    /**
+     * Cleanup: remove listeners and this participant's subtree
+     */
+    cleanup() {
+        throw new Error('cleanup not implemented');
+    }
+}
+
+/**
+ * Create the signaling backend chosen in the config
+ * Backends are loaded on demand, so the Firebase SDK is only fetched when used.
+ * @param {string} roomId - Room id from the QR code
+ * @param {string} participantId - This phone's id in the room
+ * @param {object} config - App config (see config.js)
+ * @returns {Promise<Signaling>}
+ */
+export async function createSignaling(roomId, participantId, config) {
+    switch (config.signaling) {
+        case 'firebase': {
+            const { FirebaseSignaling } = await import('./firebase.js');
+            return new FirebaseSignaling(roomId, participantId, { databaseURL: config.firebaseDatabaseURL });
+        }
+        case 'websocket': {
+            if (!config.websocketURL) throw new Error('websocketURL is not configured');
+            const { WebSocketSignaling } = await import('./websocket-signaling.js');
+            return new WebSocketSignaling(roomId, participantId, { url: config.websocketURL });
+        }
+        default:
+            throw new Error(`Unknown signaling backend: ${config.signaling}`);
+    }
+}
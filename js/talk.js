@@ -0,0 +1,132 @@
+/**
+ * Push-to-talk: the microphone is streamed live to Tahta while a button is held
+ *
+ * The audio track is added to the peer connection once when the view opens
+ * and is only enabled while talking, so pressing the button does not wait
+ * for a renegotiation. Tahta gets a talk message ({ active }) on press and
+ * release, e.g. to show who is speaking.
+ */
+
+// Level meter: RMS of the signal mapped from METER_FLOOR dB to 0 dB onto 0..1
+const METER_FLOOR = -60;
+
+/**
+ * Push-to-talk class
+ */
+export class PushToTalk {
+    /**
+     * @param {WebRTCClient} rtc - Connected client
+     */
+    constructor(rtc) {
+        this.rtc = rtc;
+        this.stream = null;
+        this.track = null;
+        this.audioContext = null;
+        this.analyser = null;
+        this.samples = null;
+        this.frame = null;
+        this.talking = false;
+
+        // Callbacks
+        this.onLevel = null;    // Called with the microphone level (0..1) every frame while open
+    }
+
+    /**
+     * Get the microphone and start streaming it, muted
+     */
+    async open() {
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        });
+        this.track = this.stream.getAudioTracks()[0];
+        this.track.enabled = false;
+
+        try {
+            await this.rtc.startStream(this.track, this.stream);
+        } catch (e) {
+            this.stopTracks();
+            throw e;
+        }
+
+        // Level meter
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.samples = new Float32Array(this.analyser.fftSize);
+        this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+        this.measure();
+    }
+
+    /**
+     * Start talking (button pressed)
+     */
+    press() {
+        if (!this.track || this.talking) return;
+
+        // iOS suspends the context until a user gesture
+        if (this.audioContext.state === 'suspended') this.audioContext.resume();
+
+        this.talking = true;
+        this.track.enabled = true;
+        this.sendState();
+    }
+
+    /**
+     * Stop talking (button released)
+     */
+    release() {
+        if (!this.track || !this.talking) return;
+
+        this.talking = false;
+        this.track.enabled = false;
+        this.sendState();
+    }
+
+    sendState() {
+        try {
+            this.rtc.sendData('talk', { active: this.talking });
+        } catch (e) {
+            // Channel down, the track state is what counts
+            console.warn('Could not send talk state:', e.message);
+        }
+    }
+
+    /**
+     * Read the current level, once per animation frame
+     */
+    measure() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let sum = 0;
+        for (let i = 0; i < this.samples.length; i++) sum += this.samples[i] * this.samples[i];
+        const rms = Math.sqrt(sum / this.samples.length);
+        const db = rms > 0 ? 20 * Math.log10(rms) : METER_FLOOR;
+        const level = Math.min(1, Math.max(0, (db - METER_FLOOR) / -METER_FLOOR));
+
+        // A disabled track still reads as silence, only report while talking
+        if (this.onLevel) this.onLevel(this.talking ? level : 0);
+
+        this.frame = requestAnimationFrame(() => this.measure());
+    }
+
+    stopTracks() {
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.track = null;
+    }
+
+    /**
+     * Stop streaming and release the microphone
+     */
+    async close() {
+        this.release();
+
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        if (this.audioContext) this.audioContext.close();
+        this.audioContext = null;
+
+        this.stopTracks();
+        await this.rtc.stopStream('audio');
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * File transfer protocol over the data channel (version 2)
+ * Messages are sent in protocol.js envelopes, listed here by type and data:
+ *
+ * Sender -> receiver:  file_start {v, transferId, fileType, filename, totalSize, chunkSize, totalChunks, sha256, mimeType, clip, sender}
+ * Receiver -> sender:  file_ready {transferId, nextChunk}
+ * Sender -> receiver:  binary chunk frames (see encodeChunk)
+ * Receiver -> sender:  file_ack {transferId, nextChunk}
+ * Sender -> receiver:  file_end {transferId}
+ * Receiver -> sender:  file_result {transferId, ok, error}
+ *
+ * nextChunk is the number of chunks the receiver holds without gaps. A sender
+ * that reconnects sends the same file_start again and continues from the
+ * nextChunk in the file_ready reply. Both sides speak the same protocol, Tahta
+ * uses it to send PDFs to the phone.
+ *
+ * Every chunk is chunkSize bytes, the last one holds the rest of totalSize. A
+ * chunk of any other size is dropped on arrival, nextChunk stops in front of
+ * it and the sender resends it from there.
+ *
+ * clip ({ start, end } in seconds) is only set for a video with a play range:
+ * the file is the whole recording and Tahta plays that range. Cutting on the
+ * phone would mean re-encoding the clip in real time, so the preview tells
+ * the user the whole recording is sent.
+ *
+ * sender ({ id, name }) names the phone that sent the file, see participant.js.
+ */
+
+export const TRANSFER_VERSION = 2;
+export const CHUNK_SIZE = 64 * 1024; // 64KB chunks
+
+// Receiver sends a file_ack after this many chunks
+export const ACK_INTERVAL = 16;
+
+// Binary frame: transfer id (8 bytes) + chunk index (uint32, big endian) + payload
+const ID_BYTES = 8;
+const FRAME_HEADER_SIZE = ID_BYTES + 4;
+
+/**
+ * Create a random transfer id (16 hex characters)
+ */
+export function createTransferId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(ID_BYTES));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encode a chunk into a binary frame
+ * @param {string} transferId - Transfer id
+ * @param {number} index - Chunk index
+ * @param {ArrayBuffer} payload - Chunk data
+ */
+export function encodeChunk(transferId, index, payload) {
+    const frame = new Uint8Array(FRAME_HEADER_SIZE + payload.byteLength);
+    for (let i = 0; i < ID_BYTES; i++) {
+        frame[i] = parseInt(transferId.substr(i * 2, 2), 16);
+    }
+    new DataView(frame.buffer).setUint32(ID_BYTES, index);
+    frame.set(new Uint8Array(payload), FRAME_HEADER_SIZE);
+    return frame.buffer;
+}
+
+/**
+ * Decode a binary frame
+ * @param {ArrayBuffer} buffer - Frame received from the data channel
+ * @returns {{transferId: string, index: number, payload: ArrayBuffer}|null}
+ */
+export function decodeChunk(buffer) {
+    if (buffer.byteLength < FRAME_HEADER_SIZE) return null;
+
+    const bytes = new Uint8Array(buffer, 0, ID_BYTES);
+    return {
+        transferId: Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''),
+        index: new DataView(buffer).getUint32(ID_BYTES),
+        payload: buffer.slice(FRAME_HEADER_SIZE)
+    };
+}
+
+/**
+ * SHA-256 of the data as a hex string
+ * @param {ArrayBuffer} data - Data to hash
+ */
+export async function sha256Hex(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * File being received, kept across reconnects until it completes
+ */
+export class IncomingTransfer {
+    constructor(start) {
+        this.id = start.transferId;
+        this.type = start.fileType;
+        this.filename = start.filename;
+        this.totalSize = start.totalSize;
+        this.chunkSize = start.chunkSize;
+        this.totalChunks = start.totalChunks;
+        this.sha256 = start.sha256;
+        this.mimeType = start.mimeType || null;
+        this.chunks = new Array(start.totalChunks);
+        this.receivedSize = 0;
+        this.nextChunk = 0;
+        this.ackedChunk = 0;   // nextChunk at the last file_ack
+    }
+
+    /**
+     * Store a chunk
+     * @returns {boolean} true if nextChunk advanced
+     */
+    receive(index, payload) {
+        if (index >= this.totalChunks || this.chunks[index]) return false;
+        if (payload.byteLength !== this.chunkLength(index)) {
+            console.warn(`Dropping chunk ${index} of ${this.id}: ${payload.byteLength} bytes`);
+            return false;
+        }
+
+        this.chunks[index] = payload;
+        this.receivedSize += payload.byteLength;
+
+        const before = this.nextChunk;
+        while (this.nextChunk < this.totalChunks && this.chunks[this.nextChunk]) {
+            this.nextChunk++;
+        }
+        return this.nextChunk !== before;
+    }
+
+    /**
+     * Expected size of a chunk
+     */
+    chunkLength(index) {
+        if (index < this.totalChunks - 1) return this.chunkSize;
+        return this.totalSize - this.chunkSize * (this.totalChunks - 1);
+    }
+
+    get isComplete() {
+        return this.nextChunk === this.totalChunks;
+    }
+
+    /**
+     * Check the received data against the sender's hash
+     */
+    async verify() {
+        if (!this.isComplete) return false;
+        const data = await new Blob(this.chunks).arrayBuffer();
+        return (await sha256Hex(data)) === this.sha256;
+    }
+
+    toBlob(mimeType = 'application/octet-stream') {
+        return new Blob(this.chunks, { type: mimeType });
+    }
+}
@@ -3,7 +3,43 @@
  * Creates offer and sends media to Tahta
  */
 
-const CHUNK_SIZE = 64 * 1024; // 64KB chunks
+import {
+    TRANSFER_VERSION,
+    CHUNK_SIZE,
+    ACK_INTERVAL,
+    createTransferId,
+    encodeChunk,
+    decodeChunk,
+    sha256Hex,
+    IncomingTransfer
+} from './transfer.js';
+import {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    Capability,
+    ReceiptStatus,
+    encodeMessage,
+    decodeMessage
+} from './protocol.js';
+
+const REPLY_TIMEOUT = 30000;        // Wait for file_ready / file_result
+const HELLO_TIMEOUT = 10000;        // Wait for Tahta's hello after the channel opens
+const RECEIPT_TIMEOUT = 30000;      // Wait for an item's first receipt, teacher approval is not limited
+const RESUME_TIMEOUT = 60000;       // Wait for the channel to reopen before giving up on a transfer
+const MAX_RESUME_ATTEMPTS = 5;
+
+// Reconnection
+const DISCONNECT_GRACE = 3000;      // 'disconnected' often recovers by itself
+const RECOVERY_CHECK_DELAY = 10000; // Time an attempt gets before the next one
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const ICE_RESTART_ATTEMPTS = 2;     // Then fall back to a new peer connection
+const CONNECT_TIMEOUT = 30000;      // First connection, then the ICE failure is reported
+
+// Pointer events
+const POINTER_INTERVAL = 33;                // Max ~30 moves per second
+const POINTER_MAX_BUFFERED = 16 * 1024;     // Drop moves while a file is filling the channel
 
 // Detect iOS Safari
 const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
@@ -19,28 +55,137 @@ function log(msg, data = null) {
     }
 }
 
+/**
+ * Error for sends on a closed channel. Transfers marked as interrupted
+ * can be resumed once the channel is open again.
+ */
+function channelClosedError() {
+    const error = new Error('DataChannel not open');
+    error.interrupted = true;
+    return error;
+}
+
+/**
+ * Error for an item Tahta did not accept, code is 'item_rejected' or 'item_failed'
+ */
+function receiptError(receipt) {
+    const rejected = receipt.status === ReceiptStatus.REJECTED;
+    const error = new Error(`Item ${receipt.status}: ${receipt.reason || 'no reason given'}`);
+    error.code = rejected ? 'item_rejected' : 'item_failed';
+    error.reason = receipt.reason || null;
+    return error;
+}
+
+/**
+ * Candidate type ('host', 'srflx', 'prflx', 'relay') from an ICE candidate line
+ */
+function candidateType(candidate) {
+    const match = / typ (\w+)/.exec(candidate || '');
+    return match ? match[1] : 'unknown';
+}
+
+/**
+ * Key of a reply waiter, transfer replies are matched by transfer id
+ */
+function replyKey(type, transferId) {
+    return transferId ? `${type}:${transferId}` : type;
+}
+
+/**
+ * DTLS fingerprint from an SDP, e.g. { algorithm: 'sha-256', value: 'AB:CD:...' }
+ */
+function sdpFingerprint(sdp) {
+    const match = /^a=fingerprint:(\S+) (\S+)/m.exec(sdp || '');
+    return match ? { algorithm: match[1].toLowerCase(), value: match[2].toUpperCase() } : null;
+}
+
+/**
+ * Round pointer coordinates to keep messages small
+ */
+function roundPointer(event) {
+    const rounded = { ...event };
+    ['x', 'y', 'dx', 'dy'].forEach(key => {
+        if (key in rounded) rounded[key] = Math.round(rounded[key] * 10000) / 10000;
+    });
+    return rounded;
+}
+
 /**
  * WebRTC client class
  */
 export class WebRTCClient {
-    constructor(signaling) {
+    /**
+     * @param {Signaling} signaling - Signaling backend
+     * @param {object} options - { iceServers, iceTransportPolicy } used when the room has no ICE config,
+     *                           pairing: Pairing that signs every offer (see pairing.js),
+     *                           verifyFingerprint: check the peer certificate against the answer,
+     *                           only useful when the answer is authenticated (secure-signaling.js),
+     *                           participant: { id, name } of this phone, sent with every item (see participant.js)
+     */
+    constructor(signaling, options = {}) {
         this.signaling = signaling;
         this.pc = null;
         this.dataChannel = null;
+        this.iceServers = options.iceServers || [];
+        this.iceTransportPolicy = options.iceTransportPolicy || 'all';
+        this.pairing = options.pairing || null;
+        this.verifyFingerprint = options.verifyFingerprint || false;
+        this.participant = options.participant || null;
+        this.remoteFingerprint = null;  // From the last answer applied
 
         // Callbacks
         this.onConnected = null;
         this.onDisconnected = null;
+        this.onReconnecting = null;  // Called with the attempt number
         this.onProgress = null;
         this.onError = null;
         this.onFileReceived = null;  // Called when file is received from Tahta
+        this.onApproval = null;         // Called with (itemId, receipt) when the teacher decided on a pending item
+        this.onQuestion = null;         // Called with a question from Tahta (see questions.js)
+        this.onQuestionReveal = null;   // Called with { questionId, correct? }
+        this.onQuestionClose = null;    // Called with { questionId }
+        this.onControlState = null;     // Called with the remote control state (see remote.js)
 
         // State
         this.isConnected = false;
+        this.hasConnected = false;   // Connected at least once, failures after that are recovered
         this.connectionTimeout = null;
+        this.closed = false;
+
+        // Candidate types seen on the current peer connection, for ICE failure reports
+        this.localCandidateTypes = new Set();
+        this.remoteCandidateTypes = new Set();
+
+        // Reconnection state
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.recoveryTimer = null;
+        this.pendingCandidates = [];
+
+        // Protocol negotiated in the hello handshake
+        this.protocolVersion = null;
+        this.capabilities = new Set();  // Capabilities Tahta advertised
+        this.limits = {};               // Limits Tahta advertised, e.g. { maxFileSize }
+        this.openQuestionId = null;     // Question still open on the board at the last hello
+
+        // Pointer state: moves waiting to be sent, coalesced
+        this.pendingPointer = null;
+        this.pointerTimer = null;
+        this.lastPointerSent = 0;
+
+        // Media streamed to Tahta, track kind -> { track, stream, sender }
+        this.mediaSenders = new Map();
+
+        // File transfer state
+        this.outgoingTransfers = new Map();  // transferId -> transfer, kept until Tahta confirms it
+        this.incomingTransfers = new Map();  // transferId -> IncomingTransfer, kept across reconnects
+        this.replyWaiters = new Map();       // replyKey(type, transferId) -> { resolve, reject }
+        this.openWaiters = [];
 
-        // File receiving state
-        this.pendingFile = null;
+        // Receipts, items are files (by transferId) and messages (by itemId)
+        this.receipts = new Map();           // itemId -> receipt that came before waitForReceipt, null until then
+        this.receiptWaiters = new Map();     // itemId -> { resolve, reject, timer }
+        this.approvals = new Set();          // itemIds waiting for the teacher, see watchApproval
 
         log(`Platform: iOS=${isIOS}, Safari=${isSafari}, iOS Safari=${isIOSSafari}`);
     }
@@ -50,177 +195,580 @@ export class WebRTCClient {
      */
     async connect() {
         try {
-            // ICE servers configuration
-            const config = {
-                iceServers: [
-                    { urls: 'stun:stun.l.google.com:19302' },
-                    { urls: 'stun:stun1.l.google.com:19302' },
-                    { urls: 'stun:stun2.l.google.com:19302' },
-                    { urls: 'stun:stun3.l.google.com:19302' },
-                    { urls: 'stun:stun4.l.google.com:19302' }
-                ],
-                // iOS Safari sometimes needs this
-                iceCandidatePoolSize: 10
-            };
+            await this.loadIceConfig();
 
-            // Create peer connection
-            this.pc = new RTCPeerConnection(config);
-            log('RTCPeerConnection created');
+            // Signaling listeners live as long as the client, peer connections are replaced on renegotiation
+            this.listenForSignaling();
 
-            // Create data channel for sending media
-            this.dataChannel = this.pc.createDataChannel('media', {
-                ordered: true
-            });
-            log('DataChannel created');
+            this.createPeerConnection();
+            await this.sendOffer();
+
+            this.connectionTimeout = setTimeout(() => {
+                this.connectionTimeout = null;
+                if (!this.isConnected) {
+                    log('CONNECTION TIMEOUT after', CONNECT_TIMEOUT);
+                    log('Final states - ICE:', this.pc?.iceConnectionState, 'Connection:', this.pc?.connectionState);
+                    this.connectFailed();
+                }
+            }, CONNECT_TIMEOUT);
+
+        } catch (error) {
+            log('WebRTC connect ERROR', error);
+            if (this.onError) this.onError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Use the ICE servers Tahta published for the room, if any.
+     * Relay-only set on the phone side is kept even if the room allows direct connections.
+     */
+    async loadIceConfig() {
+        let room = null;
+        try {
+            room = await this.signaling.getIceConfig();
+        } catch (error) {
+            log('Could not read room ICE config:', error.message);
+        }
+
+        if (room && Array.isArray(room.iceServers) && room.iceServers.length > 0) {
+            this.iceServers = room.iceServers;
+        }
+        if (room && room.iceTransportPolicy === 'relay') {
+            this.iceTransportPolicy = 'relay';
+        }
+
+        log(`ICE config: ${this.iceServers.length} servers, policy ${this.iceTransportPolicy}`);
+    }
+
+    /**
+     * Create peer connection and data channel
+     */
+    createPeerConnection() {
+        const config = {
+            iceServers: this.iceServers,
+            iceTransportPolicy: this.iceTransportPolicy,
+            // iOS Safari sometimes needs this
+            iceCandidatePoolSize: 10
+        };
+
+        // Create peer connection
+        this.pc = new RTCPeerConnection(config);
+        this.pendingCandidates = [];
+        this.localCandidateTypes.clear();
+        this.remoteCandidateTypes.clear();
+        log('RTCPeerConnection created');
+
+        // Create data channel for sending media
+        this.dataChannel = this.pc.createDataChannel('media', {
+            ordered: true
+        });
+        this.dataChannel.binaryType = 'arraybuffer';
+        log('DataChannel created');
+
+        // Keep streaming after renegotiating with a new peer connection
+        this.mediaSenders.forEach(entry => {
+            entry.sender = this.pc.addTrack(entry.track, entry.stream);
+        });
+
+        // Data channel events
+        this.dataChannel.onopen = async () => {
+            log('DataChannel OPEN');
+            if (await this.checkPeerFingerprint() && await this.handshake()) this.channelReady();
+        };
+
+        this.dataChannel.onclose = () => {
+            log('DataChannel CLOSED');
+            this.isConnected = false;
+            this.rejectReplyWaiters(channelClosedError());
+            if (this.onDisconnected) this.onDisconnected();
 
-            // Data channel events
-            this.dataChannel.onopen = () => {
-                log('DataChannel OPEN');
+            // The SCTP association is gone, only a new peer connection brings the channel back
+            this.scheduleRecovery(0);
+        };
+
+        // A channel error is followed by onclose, which starts recovery
+        this.dataChannel.onerror = (error) => {
+            log('DataChannel ERROR', error);
+        };
+
+        // Handle incoming messages (for receiving files from Tahta)
+        this.dataChannel.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+
+        // ICE candidate handling
+        this.pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                log('Local ICE candidate', event.candidate.candidate.substr(0, 50) + '...');
+                this.localCandidateTypes.add(candidateType(event.candidate.candidate));
+                this.signaling.addIceCandidate({
+                    candidate: event.candidate.candidate,
+                    sdpMid: event.candidate.sdpMid,
+                    sdpMLineIndex: event.candidate.sdpMLineIndex
+                });
+            } else {
+                log('ICE gathering complete (null candidate)');
+            }
+        };
+
+        // ICE gathering state change
+        this.pc.onicegatheringstatechange = () => {
+            log('ICE gathering state:', this.pc.iceGatheringState);
+        };
+
+        // Connection state change
+        this.pc.onconnectionstatechange = () => {
+            log('Connection state:', this.pc.connectionState);
+
+            if (this.pc.connectionState === 'connected') {
                 this.clearConnectionTimeout();
-                this.isConnected = true;
-                if (this.onConnected) this.onConnected();
-            };
+                this.signaling.updateStatus('connected');
 
-            this.dataChannel.onclose = () => {
-                log('DataChannel CLOSED');
+                // ICE restart succeeded while the data channel stayed open
+                if (this.reconnecting && this.dataChannel && this.dataChannel.readyState === 'open') {
+                    this.channelReady();
+                }
+            } else if (this.pc.connectionState === 'failed') {
+                log('CONNECTION FAILED');
                 this.isConnected = false;
+                if (!this.hasConnected) {
+                    this.connectFailed();
+                    return;
+                }
+                if (this.onDisconnected) this.onDisconnected();
+                this.scheduleRecovery(0);
+            } else if (this.pc.connectionState === 'disconnected') {
                 if (this.onDisconnected) this.onDisconnected();
-            };
 
-            this.dataChannel.onerror = (error) => {
-                log('DataChannel ERROR', error);
-                if (this.onError) this.onError(error);
-            };
+                // Often recovers by itself (e.g. Wi-Fi handover), give it a moment first
+                this.scheduleRecovery(DISCONNECT_GRACE);
+            } else if (this.pc.connectionState === 'closed') {
+                this.isConnected = false;
+                if (this.onDisconnected) this.onDisconnected();
+            }
+        };
 
-            // Handle incoming messages (for receiving files from Tahta)
-            this.dataChannel.onmessage = (event) => {
-                this.handleMessage(event.data);
-            };
+        // ICE connection state change
+        this.pc.oniceconnectionstatechange = () => {
+            log('ICE connection state:', this.pc.iceConnectionState);
 
-            // ICE candidate handling
-            this.pc.onicecandidate = (event) => {
-                if (event.candidate) {
-                    log('Local ICE candidate', event.candidate.candidate.substr(0, 50) + '...');
-                    this.signaling.addIceCandidate({
-                        candidate: event.candidate.candidate,
-                        sdpMid: event.candidate.sdpMid,
-                        sdpMLineIndex: event.candidate.sdpMLineIndex
-                    });
+            // On iOS Safari, sometimes only ICE connection state changes, not connection state
+            if (this.pc.iceConnectionState === 'connected' || this.pc.iceConnectionState === 'completed') {
+                log('ICE connected/completed');
+            } else if (this.pc.iceConnectionState === 'failed') {
+                log('ICE CONNECTION FAILED');
+                if (this.hasConnected) {
+                    this.scheduleRecovery(0);
                 } else {
-                    log('ICE gathering complete (null candidate)');
+                    this.connectFailed();
                 }
-            };
+            } else if (this.pc.iceConnectionState === 'disconnected') {
+                log('ICE disconnected');
+                this.scheduleRecovery(DISCONNECT_GRACE);
+            }
+        };
 
-            // ICE gathering state change
-            this.pc.onicegatheringstatechange = () => {
-                log('ICE gathering state:', this.pc.iceGatheringState);
-            };
+        // Signaling state change
+        this.pc.onsignalingstatechange = () => {
+            log('Signaling state:', this.pc.signalingState);
+        };
+    }
 
-            // Connection state change
-            this.pc.onconnectionstatechange = () => {
-                log('Connection state:', this.pc.connectionState);
-
-                if (this.pc.connectionState === 'connected') {
-                    this.clearConnectionTimeout();
-                    this.signaling.updateStatus('connected');
-                } else if (this.pc.connectionState === 'failed') {
-                    log('CONNECTION FAILED - this is the issue on iOS Safari');
-                    this.clearConnectionTimeout();
-                    this.isConnected = false;
-                    if (this.onError) this.onError(new Error('Connection failed'));
-                } else if (this.pc.connectionState === 'disconnected' ||
-                           this.pc.connectionState === 'closed') {
-                    this.isConnected = false;
-                    if (this.onDisconnected) this.onDisconnected();
-                }
-            };
+    /**
+     * Data channel is usable (first open, or back after a reconnect)
+     */
+    channelReady() {
+        this.clearConnectionTimeout();
+        this.isConnected = true;
+        this.hasConnected = true;
+        this.finishRecovery();
+        if (this.onConnected) this.onConnected();
+
+        // Let interrupted transfers resume
+        this.openWaiters.splice(0).forEach(waiter => waiter.resolve());
+    }
+
+    /**
+     * Check that the DTLS certificate of the peer matches the fingerprint in
+     * Tahta's answer. The browser already enforces this, the check guards
+     * against an answer that was swapped after it was authenticated.
+     * @returns {Promise<boolean>} false if the peer was rejected
+     */
+    async checkPeerFingerprint() {
+        if (!this.verifyFingerprint) return true;
 
-            // ICE connection state change
-            this.pc.oniceconnectionstatechange = () => {
-                log('ICE connection state:', this.pc.iceConnectionState);
-
-                // On iOS Safari, sometimes only ICE connection state changes, not connection state
-                if (this.pc.iceConnectionState === 'connected' || this.pc.iceConnectionState === 'completed') {
-                    log('ICE connected/completed');
-                } else if (this.pc.iceConnectionState === 'failed') {
-                    log('ICE CONNECTION FAILED');
-                    if (isIOSSafari) {
-                        alert('ICE connection failed. This may be a network issue on iOS Safari.');
+        const expected = this.remoteFingerprint;
+        let actual = null;
+        try {
+            const stats = await this.pc.getStats();
+            stats.forEach(report => {
+                if (report.type === 'transport' && report.remoteCertificateId) {
+                    const certificate = stats.get(report.remoteCertificateId);
+                    if (certificate) {
+                        actual = {
+                            algorithm: certificate.fingerprintAlgorithm.toLowerCase(),
+                            value: certificate.fingerprint.toUpperCase()
+                        };
                     }
-                } else if (this.pc.iceConnectionState === 'disconnected') {
-                    log('ICE disconnected');
                 }
-            };
+            });
+        } catch (error) {
+            log('Could not read certificate stats:', error.message);
+        }
 
-            // Signaling state change
-            this.pc.onsignalingstatechange = () => {
-                log('Signaling state:', this.pc.signalingState);
-            };
+        let ok;
+        if (!expected) {
+            ok = false;
+        } else if (!actual || actual.algorithm !== expected.algorithm) {
+            // Safari does not expose certificate stats, the browser check has to do
+            log('Peer certificate not comparable, relying on the DTLS check');
+            ok = true;
+        } else {
+            ok = actual.value === expected.value;
+        }
 
-            // Listen for answer from Tahta
-            this.signaling.onAnswer(async (answer) => {
-                log('Received answer from Tahta');
-                log('Answer SDP type:', answer.type);
-                log('Answer SDP length:', answer.sdp?.length);
+        if (ok) return true;
 
-                try {
-                    const desc = new RTCSessionDescription(answer);
-                    log('RTCSessionDescription created');
-
-                    await this.pc.setRemoteDescription(desc);
-                    log('Remote description SET successfully');
-                    log('Signaling state after answer:', this.pc.signalingState);
-                    log('ICE connection state after answer:', this.pc.iceConnectionState);
-                    log('Connection state after answer:', this.pc.connectionState);
-                } catch (err) {
-                    log('ERROR setting remote description:', err.message);
-                    alert('SDP Error: ' + err.message);
-                    if (this.onError) this.onError(err);
-                }
-            });
+        log('PEER FINGERPRINT MISMATCH', { expected, actual });
+        const error = new Error('Peer fingerprint does not match the answer');
+        error.code = 'fingerprint_mismatch';
+        this.abort(error);
+        return false;
+    }
 
-            // Listen for ICE candidates from Tahta
-            this.signaling.onRemoteIceCandidate(async (candidate) => {
-                log('Received remote ICE candidate');
-                if (candidate && candidate.candidate) {
-                    try {
-                        const iceCandidate = new RTCIceCandidate(candidate);
-                        await this.pc.addIceCandidate(iceCandidate);
-                        log('Remote ICE candidate ADDED');
-                    } catch (err) {
-                        log('ERROR adding remote ICE candidate:', err.message);
-                    }
-                }
+    /**
+     * Exchange hello messages with Tahta on a freshly opened channel
+     * @returns {Promise<boolean>} false if Tahta does not speak a supported protocol version
+     */
+    async handshake() {
+        // Agreed again, the board may have been updated meanwhile
+        this.protocolVersion = null;
+        let hello;
+        try {
+            const reply = this.waitForReply('hello', null, HELLO_TIMEOUT);
+            this.sendMessage('hello', {
+                version: PROTOCOL_VERSION,
+                minVersion: MIN_PROTOCOL_VERSION,
+                capabilities: [Capability.RECEIVE_FILE, Capability.QUESTIONS],
+                participant: this.sender()
             });
+            hello = await reply;
+        } catch (error) {
+            // Channel closed meanwhile, recovery takes over
+            if (error.interrupted) return false;
+            hello = null;
+        }
 
-            // Create and send offer
-            log('Creating offer...');
-            const offer = await this.pc.createOffer();
-            log('Offer created, setting local description...');
-            await this.pc.setLocalDescription(offer);
-            log('Local description set');
+        if (!hello || hello.version < MIN_PROTOCOL_VERSION) {
+            log('Unsupported Tahta protocol:', hello);
+            const error = new Error('Tahta does not support this protocol version');
+            error.code = 'protocol_unsupported';
+            this.abort(error);
+            return false;
+        }
 
-            await this.signaling.setOffer({
-                type: offer.type,
-                sdp: offer.sdp
-            });
-            log('Offer sent to Firebase');
+        this.protocolVersion = Math.min(hello.version, PROTOCOL_VERSION);
+        this.capabilities = new Set(hello.capabilities.filter(c => typeof c === 'string'));
+        this.limits = hello.limits || {};
+        this.openQuestionId = hello.questionId || null;
+        log(`Protocol v${this.protocolVersion}, capabilities:`, [...this.capabilities]);
+        return true;
+    }
 
-            // Set connection timeout (30 seconds)
-            this.connectionTimeout = setTimeout(() => {
-                if (!this.isConnected) {
-                    log('CONNECTION TIMEOUT after 30 seconds');
-                    log('Final states - ICE:', this.pc?.iceConnectionState, 'Connection:', this.pc?.connectionState);
-                    if (isIOSSafari) {
-                        alert('Connection timeout. States: ICE=' + this.pc?.iceConnectionState + ', Conn=' + this.pc?.connectionState);
-                    }
+    /**
+     * Check if Tahta advertised a capability (see Capability in protocol.js)
+     */
+    supports(capability) {
+        return this.capabilities.has(capability);
+    }
+
+    /**
+     * Listen for answers and ICE candidates from Tahta
+     */
+    listenForSignaling() {
+        // Listen for answer from Tahta
+        this.signaling.onAnswer(async (answer) => {
+            log('Received answer from Tahta');
+            log('Answer SDP type:', answer.type);
+            log('Answer SDP length:', answer.sdp?.length);
+
+            // Old answers show up again after renegotiating, only the reply to our current offer counts
+            if (!this.pc || this.pc.signalingState !== 'have-local-offer') {
+                log('Ignoring answer in signaling state:', this.pc?.signalingState);
+                return;
+            }
+
+            try {
+                const desc = new RTCSessionDescription(answer);
+                log('RTCSessionDescription created');
+
+                await this.pc.setRemoteDescription(desc);
+                this.remoteFingerprint = sdpFingerprint(answer.sdp);
+                log('Remote description SET successfully');
+                log('Signaling state after answer:', this.pc.signalingState);
+                log('ICE connection state after answer:', this.pc.iceConnectionState);
+                log('Connection state after answer:', this.pc.connectionState);
+
+                // Candidates that arrived before the answer
+                const pending = this.pendingCandidates.splice(0);
+                for (const candidate of pending) {
+                    await this.addRemoteCandidate(candidate);
                 }
-            }, 30000);
+            } catch (err) {
+                log('ERROR setting remote description:', err.message);
+                err.code = 'sdp_error';
+                if (this.onError) this.onError(err);
+            }
+        });
 
-        } catch (error) {
-            log('WebRTC connect ERROR', error);
+        // Listen for ICE candidates from Tahta
+        this.signaling.onRemoteIceCandidate(async (candidate) => {
+            log('Received remote ICE candidate');
+            if (candidate && candidate.candidate) {
+                if (!this.pc || !this.pc.remoteDescription) {
+                    this.pendingCandidates.push(candidate);
+                    return;
+                }
+                await this.addRemoteCandidate(candidate);
+            }
+        });
+    }
+
+    /**
+     * Add an ICE candidate from Tahta to the peer connection
+     */
+    async addRemoteCandidate(candidate) {
+        try {
+            const iceCandidate = new RTCIceCandidate(candidate);
+            await this.pc.addIceCandidate(iceCandidate);
+            this.remoteCandidateTypes.add(candidateType(candidate.candidate));
+            log('Remote ICE candidate ADDED');
+        } catch (err) {
+            log('ERROR adding remote ICE candidate:', err.message);
+        }
+    }
+
+    /**
+     * Create an offer and send it to Tahta
+     * @param {object} options - createOffer options, e.g. { iceRestart: true }
+     */
+    async sendOffer(options = {}) {
+        log('Creating offer...', options);
+        const offer = await this.pc.createOffer(options);
+        log('Offer created, setting local description...');
+        await this.pc.setLocalDescription(offer);
+        log('Local description set');
+
+        const record = {
+            type: offer.type,
+            sdp: offer.sdp
+        };
+        if (this.pairing) record.pairing = await this.pairing.sign(offer.sdp);
+
+        await this.signaling.setOffer(record);
+        log('Offer sent to Tahta');
+    }
+
+    /**
+     * Send a new offer once the previous negotiation has finished
+     */
+    async renegotiate() {
+        await this.waitForStableState();
+        await this.sendOffer();
+    }
+
+    /**
+     * Wait until no offer is pending (answer received)
+     */
+    waitForStableState(timeout = 10000) {
+        const pc = this.pc;
+        if (!pc || pc.signalingState === 'stable') return Promise.resolve();
+
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                pc.removeEventListener('signalingstatechange', onChange);
+                resolve();
+            };
+            const onChange = () => {
+                if (pc.signalingState === 'stable') done();
+            };
+            const timer = setTimeout(done, timeout);
+            pc.addEventListener('signalingstatechange', onChange);
+        });
+    }
+
+    /**
+     * Start reconnecting right away (e.g. network came back, user pressed retry)
+     */
+    reconnect() {
+        if (this.closed) return;
+
+        log('Reconnect requested');
+        this.reconnectAttempt = 0;
+        this.clearRecoveryTimer();
+        this.scheduleRecovery(0);
+    }
+
+    /**
+     * Schedule a recovery attempt unless one is already pending
+     * @param {number} delay - Minimum delay before the attempt (ms)
+     */
+    scheduleRecovery(delay) {
+        if (this.closed || this.recoveryTimer) return;
+
+        const attempt = this.reconnectAttempt + 1;
+        const backoff = attempt === 1 ? 0 : Math.min(RECONNECT_BASE_DELAY * 2 ** (attempt - 2), RECONNECT_MAX_DELAY);
+        const wait = Math.max(delay, backoff);
+
+        this.reconnecting = true;
+        log(`Recovery attempt ${attempt} in ${wait}ms`);
+
+        this.recoveryTimer = setTimeout(() => {
+            this.recoveryTimer = null;
+            this.recover();
+        }, wait);
+    }
+
+    /**
+     * Run one recovery attempt: ICE restart while the data channel is alive,
+     * otherwise a new peer connection negotiated through signaling
+     */
+    async recover() {
+        if (this.closed) return;
+
+        // Recovered on its own during the grace period
+        if (this.isConnected && this.pc && this.pc.connectionState === 'connected') {
+            this.finishRecovery();
+            return;
+        }
+
+        this.reconnectAttempt++;
+        if (this.reconnectAttempt > MAX_RECONNECT_ATTEMPTS) {
+            log('Giving up after', MAX_RECONNECT_ATTEMPTS);
+            this.reconnecting = false;
+            this.reconnectAttempt = 0;
+            const error = this.hasConnected ? new Error('Reconnect failed') : this.iceFailedError();
             if (this.onError) this.onError(error);
-            throw error;
+            return;
+        }
+
+        if (this.onReconnecting) this.onReconnecting(this.reconnectAttempt);
+
+        try {
+            const channelOpen = this.dataChannel && this.dataChannel.readyState === 'open';
+            if (channelOpen && this.reconnectAttempt <= ICE_RESTART_ATTEMPTS) {
+                log('Restarting ICE');
+                if (this.pc.restartIce) this.pc.restartIce();
+                await this.sendOffer({ iceRestart: true });
+            } else {
+                log('Renegotiating with a new peer connection');
+                this.closePeerConnection();
+                await this.signaling.clearIceCandidates();
+                this.createPeerConnection();
+                await this.sendOffer();
+            }
+        } catch (error) {
+            log('Recovery attempt failed:', error.message);
+        }
+
+        // Try again if this attempt does not get us connected
+        this.scheduleRecovery(RECOVERY_CHECK_DELAY);
+    }
+
+    /**
+     * No candidate pair worked before the first connection. Retrying the same
+     * servers will not help, so stop and report what was tried instead.
+     */
+    connectFailed() {
+        if (this.closed || this.hasConnected || !this.pc) return;
+
+        const error = this.iceFailedError();
+        log('Connection failed:', error.details);
+        this.abort(error);
+    }
+
+    /**
+     * Stop connecting on an error reconnecting cannot fix, until reconnect() is called
+     */
+    abort(error) {
+        this.clearConnectionTimeout();
+        this.clearRecoveryTimer();
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.closePeerConnection();
+
+        if (this.onError) this.onError(error);
+    }
+
+    /**
+     * Error describing an ICE failure
+     * code: 'no_relay_candidates' - relay needed (relay-only or TURN configured) but no TURN server answered
+     *       'ice_failed'          - candidates were gathered but no pair connected
+     */
+    iceFailedError() {
+        const hasTurn = this.iceServers.some(server => {
+            const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+            return urls.some(url => /^turns?:/.test(url));
+        });
+        const relayNeeded = this.iceTransportPolicy === 'relay' || hasTurn;
+        const noRelay = relayNeeded && !this.localCandidateTypes.has('relay');
+
+        const error = new Error(noRelay ? 'No relay candidates, TURN server unreachable' : 'ICE failed, no candidate pair succeeded');
+        error.code = noRelay ? 'no_relay_candidates' : 'ice_failed';
+        error.details = {
+            iceTransportPolicy: this.iceTransportPolicy,
+            hasTurn: hasTurn,
+            localCandidates: [...this.localCandidateTypes],
+            remoteCandidates: [...this.remoteCandidateTypes],
+            iceConnectionState: this.pc?.iceConnectionState,
+            connectionState: this.pc?.connectionState
+        };
+        return error;
+    }
+
+    /**
+     * Connection is back, reset recovery state
+     */
+    finishRecovery() {
+        if (this.reconnecting) log('Connection recovered');
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.clearRecoveryTimer();
+    }
+
+    clearRecoveryTimer() {
+        if (this.recoveryTimer) {
+            clearTimeout(this.recoveryTimer);
+            this.recoveryTimer = null;
+        }
+    }
+
+    /**
+     * Close the current peer connection without triggering recovery
+     */
+    closePeerConnection() {
+        if (this.dataChannel) {
+            this.dataChannel.onopen = null;
+            this.dataChannel.onclose = null;
+            this.dataChannel.onerror = null;
+            this.dataChannel.onmessage = null;
+            this.dataChannel.close();
+            this.dataChannel = null;
+        }
+
+        if (this.pc) {
+            this.pc.onicecandidate = null;
+            this.pc.onconnectionstatechange = null;
+            this.pc.oniceconnectionstatechange = null;
+            this.pc.close();
+            this.pc = null;
+        }
+
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.rejectReplyWaiters(channelClosedError());
         }
     }
 
@@ -236,75 +784,311 @@ export class WebRTCClient {
 
     /**
      * Send file to Tahta
-     * @param {string} type - 'image' or 'audio'
+     * The file is sent with the transfer protocol in transfer.js. If the channel
+     * drops, the transfer waits for it to reopen and resumes from the last
+     * chunk Tahta holds.
+     * @param {string} type - 'image', 'audio', 'video' or 'document'
      * @param {string} filename - Original filename
      * @param {ArrayBuffer} data - File data
+     * @param {Function} onProgress - Progress callback for this file (optional, defaults to this.onProgress)
+     * @param {string} mimeType - MIME type for Tahta (optional)
+     * @param {object} clip - Range to play, { start, end } in seconds (optional, video)
+     * @returns {Promise<{itemId: string, status: string|null}>} receipt status, null without receipts
      */
-    async sendFile(type, filename, data) {
-        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-            throw new Error('DataChannel not open');
-        }
+    async sendFile(type, filename, data, onProgress = null, mimeType = null, clip = null) {
+        this.assertOpen();
 
-        const totalSize = data.byteLength;
-        const totalChunks = Math.ceil(totalSize / CHUNK_SIZE);
+        const transfer = {
+            transferId: createTransferId(),
+            type: type,
+            filename: filename,
+            data: data,
+            totalSize: data.byteLength,
+            totalChunks: Math.ceil(data.byteLength / CHUNK_SIZE),
+            mimeType: mimeType,
+            clip: clip,
+            sha256: await sha256Hex(data),
+            acked: 0
+        };
 
-        console.log(`Sending ${type}: ${filename} (${totalSize} bytes, ${totalChunks} chunks)`);
+        console.log(`Sending ${type}: ${filename} (${transfer.totalSize} bytes, ${transfer.totalChunks} chunks)`);
+        this.outgoingTransfers.set(transfer.transferId, transfer);
+        const receipts = this.supports(Capability.RECEIPTS);
+        if (receipts) this.expectReceipt(transfer.transferId);
 
-        // Send header
-        const header = {
-            header: {
-                type: type,
-                filename: filename,
-                totalSize: totalSize,
-                totalChunks: totalChunks
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    await this.runTransfer(transfer, onProgress || this.onProgress);
+                    break;
+                } catch (error) {
+                    if (!error.interrupted || attempt >= MAX_RESUME_ATTEMPTS) throw error;
+                    log(`Transfer ${transfer.transferId} interrupted at chunk ${transfer.acked}, waiting to resume`);
+                    await this.waitForOpen(RESUME_TIMEOUT);
+                }
             }
-        };
-        this.dataChannel.send(JSON.stringify(header));
+        } catch (error) {
+            this.receipts.delete(transfer.transferId);
+            throw error;
+        } finally {
+            this.outgoingTransfers.delete(transfer.transferId);
+        }
+
+        const status = receipts ? await this.waitForReceipt(transfer.transferId) : null;
+        console.log('File sent successfully');
+        return { itemId: transfer.transferId, status: status };
+    }
+
+    /**
+     * Run one attempt of an outgoing transfer, starting where Tahta left off
+     */
+    async runTransfer(transfer, onProgress) {
+        const { transferId, totalSize, totalChunks } = transfer;
+
+        // Announce the file, Tahta replies with the first chunk it needs
+        const ready = this.waitForReply('file_ready', transferId);
+        this.sendMessage('file_start', {
+            v: TRANSFER_VERSION,
+            transferId: transferId,
+            fileType: transfer.type,
+            filename: transfer.filename,
+            totalSize: totalSize,
+            chunkSize: CHUNK_SIZE,
+            totalChunks: totalChunks,
+            sha256: transfer.sha256,
+            mimeType: transfer.mimeType,
+            clip: transfer.clip,
+            sender: this.sender()
+        });
+
+        const { nextChunk } = await ready;
+        if (nextChunk > 0) {
+            log(`Resuming ${transferId} from chunk ${nextChunk}/${totalChunks}`);
+        }
+        transfer.acked = nextChunk;
 
         // Send chunks
-        for (let i = 0; i < totalChunks; i++) {
+        for (let i = nextChunk; i < totalChunks; i++) {
             const start = i * CHUNK_SIZE;
             const end = Math.min(start + CHUNK_SIZE, totalSize);
-            const chunk = data.slice(start, end);
+            const chunk = transfer.data.slice(start, end);
 
             // Wait for buffer to drain if needed
-            while (this.dataChannel.bufferedAmount > CHUNK_SIZE * 4) {
+            while (this.dataChannel && this.dataChannel.readyState === 'open' &&
+                   this.dataChannel.bufferedAmount > CHUNK_SIZE * 4) {
                 await new Promise(resolve => setTimeout(resolve, 10));
             }
 
-            this.dataChannel.send(chunk);
+            this.assertOpen();
+            this.dataChannel.send(encodeChunk(transferId, i, chunk));
 
             // Report progress
-            const progress = (i + 1) / totalChunks;
-            if (this.onProgress) {
-                this.onProgress(progress);
+            if (onProgress) {
+                onProgress((i + 1) / totalChunks);
             }
         }
 
-        // Send completion message
-        this.dataChannel.send(JSON.stringify({ complete: true }));
+        // Tahta checks the hash before confirming
+        const result = this.waitForReply('file_result', transferId);
+        this.sendMessage('file_end', { transferId: transferId });
 
-        console.log('File sent successfully');
+        const { ok, error } = await result;
+        if (!ok) {
+            throw new Error(`Transfer rejected: ${error || 'unknown error'}`);
+        }
+    }
+
+    /**
+     * Wait for a reply message, resolves with its data
+     * @param {string} type - Reply type
+     * @param {string|null} transferId - Transfer the reply belongs to, null for hello
+     */
+    waitForReply(type, transferId, timeout = REPLY_TIMEOUT) {
+        const key = replyKey(type, transferId);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.replyWaiters.delete(key);
+                reject(new Error(`Timed out waiting for ${type}`));
+            }, timeout);
+
+            this.replyWaiters.set(key, {
+                resolve: (msg) => {
+                    clearTimeout(timer);
+                    resolve(msg);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Buffer receipts for an item that may arrive before waitForReceipt
+     */
+    expectReceipt(itemId) {
+        this.receipts.set(itemId, null);
+    }
+
+    /**
+     * Wait until Tahta received, displayed or holds an item
+     * A pending item (moderation) is not waited for: the teacher's decision
+     * comes later through onApproval.
+     * @param {string} itemId - transferId of a file, itemId of a message
+     * @returns {Promise<string>} ReceiptStatus.RECEIVED, DISPLAYED or PENDING
+     * @throws item_rejected / item_failed error, or receipt_timeout
+     */
+    waitForReceipt(itemId) {
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve: resolve, reject: reject };
+            waiter.timer = setTimeout(() => {
+                this.receiptWaiters.delete(itemId);
+                const error = new Error('Timed out waiting for receipt');
+                error.code = 'receipt_timeout';
+                reject(error);
+            }, RECEIPT_TIMEOUT);
+            this.receiptWaiters.set(itemId, waiter);
+
+            const early = this.receipts.get(itemId);
+            this.receipts.delete(itemId);
+            if (early) this.settleReceipt(itemId, early);
+        });
+    }
+
+    /**
+     * Handle a receipt from Tahta
+     */
+    handleReceipt(receipt) {
+        if (this.receiptWaiters.has(receipt.itemId)) {
+            this.settleReceipt(receipt.itemId, receipt);
+        } else if (this.receipts.has(receipt.itemId)) {
+            this.receipts.set(receipt.itemId, receipt);
+        } else if (this.approvals.has(receipt.itemId) && receipt.status !== ReceiptStatus.PENDING) {
+            this.approvals.delete(receipt.itemId);
+            if (this.onApproval) this.onApproval(receipt.itemId, receipt);
+        }
+        // Otherwise a late receipt, e.g. displayed after received
+    }
+
+    /**
+     * Report the teacher's decision on a pending item to onApproval
+     * Items sent by an earlier page are watched again after a reload.
+     */
+    watchApproval(itemId) {
+        this.approvals.add(itemId);
+    }
+
+    settleReceipt(itemId, receipt) {
+        const waiter = this.receiptWaiters.get(itemId);
+        clearTimeout(waiter.timer);
+        log(`Receipt for ${itemId}: ${receipt.status}`);
+
+        this.receiptWaiters.delete(itemId);
+        if (receipt.status === ReceiptStatus.PENDING) {
+            this.watchApproval(itemId);
+            waiter.resolve(receipt.status);
+        } else if (receipt.status === ReceiptStatus.RECEIVED || receipt.status === ReceiptStatus.DISPLAYED) {
+            waiter.resolve(receipt.status);
+        } else {
+            waiter.reject(receiptError(receipt));
+        }
+    }
+
+    /**
+     * Reject all pending reply waiters (channel closed)
+     */
+    rejectReplyWaiters(error) {
+        const waiters = Array.from(this.replyWaiters.values());
+        this.replyWaiters.clear();
+        waiters.forEach(waiter => waiter.reject(error));
+    }
+
+    /**
+     * Wait until the data channel is open again
+     */
+    waitForOpen(timeout) {
+        if (this.isConnected) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            };
+            const timer = setTimeout(() => {
+                this.openWaiters = this.openWaiters.filter(w => w !== waiter);
+                reject(new Error('Reconnect timed out'));
+            }, timeout);
+
+            this.openWaiters.push(waiter);
+        });
+    }
+
+    /**
+     * Throw if the data channel is not open
+     */
+    assertOpen() {
+        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
+            throw channelClosedError();
+        }
+    }
+
+    /**
+     * Send a message to Tahta in a protocol envelope
+     * @param {string} type - Message type (see protocol.js)
+     * @param {object} data - Message data
+     */
+    sendMessage(type, data = {}) {
+        this.assertOpen();
+        this.dataChannel.send(encodeMessage(type, data, this.protocolVersion || PROTOCOL_VERSION));
     }
 
     /**
      * Send image to Tahta
      * @param {Blob} blob - Image blob
      * @param {string} filename - Filename (optional)
+     * @param {Function} onProgress - Progress callback (optional)
      */
-    async sendImage(blob, filename = 'photo.jpg') {
+    async sendImage(blob, filename = 'photo.jpg', onProgress = null) {
         const arrayBuffer = await blob.arrayBuffer();
-        await this.sendFile('image', filename, arrayBuffer);
+        return this.sendFile('image', filename, arrayBuffer, onProgress);
     }
 
     /**
      * Send audio to Tahta
-     * @param {Blob} blob - Audio blob
+     * @param {Blob} blob - Audio blob, its type is sent as the MIME type
      * @param {string} filename - Filename (optional)
+     * @param {Function} onProgress - Progress callback (optional)
+     */
+    async sendAudio(blob, filename = 'recording.webm', onProgress = null) {
+        const arrayBuffer = await blob.arrayBuffer();
+        return this.sendFile('audio', filename, arrayBuffer, onProgress, blob.type || null);
+    }
+
+    /**
+     * Send a recorded video clip to Tahta
+     * @param {Blob} blob - Video blob, its type is sent as the MIME type
+     * @param {string} filename - Filename
+     * @param {object} clip - Trimmed range { start, end } in seconds, null for all of it
+     * @param {Function} onProgress - Progress callback (optional)
      */
-    async sendAudio(blob, filename = 'recording.webm') {
+    async sendVideo(blob, filename, clip = null, onProgress = null) {
         const arrayBuffer = await blob.arrayBuffer();
-        await this.sendFile('audio', filename, arrayBuffer);
+        return this.sendFile('video', filename, arrayBuffer, onProgress, blob.type || null, clip);
+    }
+
+    /**
+     * Send a document (PDF, Office, text) to Tahta
+     * @param {File} file - Document
+     * @param {string} mimeType - MIME type, see documents.js
+     * @param {Function} onProgress - Progress callback (optional)
+     */
+    async sendDocument(file, mimeType, onProgress = null) {
+        const arrayBuffer = await file.arrayBuffer();
+        return this.sendFile('document', file.name, arrayBuffer, onProgress, mimeType);
     }
 
     /**
@@ -313,42 +1097,59 @@ export class WebRTCClient {
     handleMessage(data) {
         try {
             if (typeof data === 'string') {
-                const msg = JSON.parse(data);
-
-                if (msg.header) {
-                    // Start receiving file
-                    log('Receiving file:', msg.header.filename);
-                    this.pendingFile = {
-                        type: msg.header.type,
-                        filename: msg.header.filename,
-                        totalSize: msg.header.totalSize,
-                        totalChunks: msg.header.totalChunks,
-                        chunks: [],
-                        receivedSize: 0
-                    };
-                } else if (msg.complete && this.pendingFile) {
-                    // File transfer complete
-                    this.finalizeFile();
-                }
-            } else if (data instanceof ArrayBuffer || data instanceof Blob) {
-                // Binary chunk
-                if (this.pendingFile) {
-                    if (data instanceof Blob) {
-                        data.arrayBuffer().then(ab => {
-                            this.pendingFile.chunks.push(ab);
-                            this.pendingFile.receivedSize += ab.byteLength;
-                            if (this.onProgress) {
-                                this.onProgress(this.pendingFile.receivedSize / this.pendingFile.totalSize);
-                            }
-                        });
-                    } else {
-                        this.pendingFile.chunks.push(data);
-                        this.pendingFile.receivedSize += data.byteLength;
-                        if (this.onProgress) {
-                            this.onProgress(this.pendingFile.receivedSize / this.pendingFile.totalSize);
+                const { type, data: msg } = decodeMessage(data, this.protocolVersion);
+
+                switch (type) {
+                    // Replies to our own hello and transfers
+                    case 'hello':
+                    case 'file_ready':
+                    case 'file_result': {
+                        const key = replyKey(type, msg.transferId);
+                        const waiter = this.replyWaiters.get(key);
+                        if (waiter) {
+                            this.replyWaiters.delete(key);
+                            waiter.resolve(msg);
                         }
+                        break;
+                    }
+                    case 'receipt':
+                        this.handleReceipt(msg);
+                        break;
+
+                    // Polls and quizzes
+                    case 'question':
+                        if (this.onQuestion) this.onQuestion(msg);
+                        break;
+                    case 'question_reveal':
+                        if (this.onQuestionReveal) this.onQuestionReveal(msg);
+                        break;
+                    case 'question_close':
+                        if (this.onQuestionClose) this.onQuestionClose(msg);
+                        break;
+
+                    // Remote control
+                    case 'control_state':
+                        if (this.onControlState) this.onControlState(msg);
+                        break;
+
+                    case 'file_ack': {
+                        const transfer = this.outgoingTransfers.get(msg.transferId);
+                        if (transfer) transfer.acked = Math.max(transfer.acked, msg.nextChunk);
+                        break;
                     }
+
+                    // Files sent by Tahta
+                    case 'file_start':
+                        this.startIncoming(msg);
+                        break;
+                    case 'file_end':
+                        this.finishIncoming(msg.transferId);
+                        break;
+                    default:
+                        log('Ignoring message type:', type);
                 }
+            } else if (data instanceof ArrayBuffer) {
+                this.receiveChunk(data);
             }
         } catch (e) {
             log('Error handling message:', e);
@@ -356,16 +1157,86 @@ export class WebRTCClient {
     }
 
     /**
-     * Finalize received file
+     * Start (or resume) receiving a file from Tahta
      */
-    finalizeFile() {
-        if (!this.pendingFile) return;
+    startIncoming(msg) {
+        if (msg.v !== TRANSFER_VERSION) {
+            log('Unsupported transfer version:', msg.v);
+            this.sendMessage('file_result', { transferId: msg.transferId, ok: false, error: 'unsupported_version' });
+            return;
+        }
 
-        const { type, filename, chunks } = this.pendingFile;
-        log(`File received: ${filename}, ${chunks.length} chunks`);
+        let transfer = this.incomingTransfers.get(msg.transferId);
+        if (transfer) {
+            log(`Resuming ${msg.filename} from chunk ${transfer.nextChunk}`);
+        } else {
+            log('Receiving file:', msg.filename);
+            transfer = new IncomingTransfer(msg);
+            this.incomingTransfers.set(msg.transferId, transfer);
+        }
+
+        this.sendMessage('file_ready', { transferId: transfer.id, nextChunk: transfer.nextChunk });
+    }
+
+    /**
+     * Store a binary chunk and acknowledge progress
+     */
+    receiveChunk(buffer) {
+        const frame = decodeChunk(buffer);
+        const transfer = frame && this.incomingTransfers.get(frame.transferId);
+        if (!transfer) return;
+
+        if (transfer.receive(frame.index, frame.payload) &&
+            transfer.nextChunk - transfer.ackedChunk >= ACK_INTERVAL) {
+            transfer.ackedChunk = transfer.nextChunk;
+            this.sendMessage('file_ack', { transferId: transfer.id, nextChunk: transfer.nextChunk });
+        }
+
+        if (this.onProgress) {
+            this.onProgress(transfer.receivedSize / transfer.totalSize);
+        }
+    }
+
+    /**
+     * Verify a received file and confirm it to Tahta
+     */
+    async finishIncoming(transferId) {
+        const transfer = this.incomingTransfers.get(transferId);
+
+        try {
+            if (!transfer) {
+                this.sendMessage('file_result', { transferId, ok: false, error: 'unknown_transfer' });
+                return;
+            }
+
+            if (!transfer.isComplete) {
+                this.sendMessage('file_result', { transferId, ok: false, error: 'incomplete' });
+                return;
+            }
+
+            const ok = await transfer.verify();
+            this.incomingTransfers.delete(transferId);
+            this.sendMessage('file_result', { transferId, ok, error: ok ? null : 'hash_mismatch' });
+
+            if (ok) {
+                this.finalizeFile(transfer);
+            } else {
+                log('File hash mismatch:', transfer.filename);
+            }
+        } catch (e) {
+            log('Error finishing transfer:', e);
+        }
+    }
+
+    /**
+     * Finalize received file
+     */
+    finalizeFile(transfer) {
+        const { type, filename, totalChunks } = transfer;
+        log(`File received: ${filename}, ${totalChunks} chunks`);
 
         // Combine chunks
-        const blob = new Blob(chunks, { type: type === 'pdf' ? 'application/pdf' : 'application/octet-stream' });
+        const blob = transfer.toBlob(transfer.mimeType || (type === 'pdf' ? 'application/pdf' : 'application/octet-stream'));
 
         // Trigger download
         const url = URL.createObjectURL(blob);
@@ -382,20 +1253,14 @@ export class WebRTCClient {
         if (this.onFileReceived) {
             this.onFileReceived(type, filename, blob);
         }
-
-        this.pendingFile = null;
     }
 
     /**
      * Request PDF from Tahta
      */
     requestPdf() {
-        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-            throw new Error('DataChannel not open');
-        }
-
         log('Requesting PDF from Tahta...');
-        this.dataChannel.send(JSON.stringify({ type: 'pdf_request' }));
+        this.sendMessage('pdf_request');
     }
 
     /**
@@ -404,32 +1269,209 @@ export class WebRTCClient {
      * @param {object} data - Data to send
      */
     sendData(type, data) {
-        if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-            throw new Error('DataChannel not open');
+        log(`Sending ${type} data:`, data);
+        this.sendMessage(type, { ...data, sender: this.sender() });
+    }
+
+    /**
+     * Send an item message (youtube, link, note) and wait for Tahta's receipt
+     * Boards without receipts count it as sent once it is written.
+     * @param {string} type - Message type
+     * @param {object} data - Data to send, gets an itemId
+     * @returns {Promise<{itemId: string, status: string|null}>} receipt status, null without receipts
+     */
+    async sendItem(type, data) {
+        const itemId = createTransferId();
+        const receipts = this.supports(Capability.RECEIPTS);
+        if (receipts) this.expectReceipt(itemId);
+
+        try {
+            this.sendData(type, { ...data, itemId: itemId });
+        } catch (error) {
+            this.receipts.delete(itemId);
+            throw error;
         }
 
-        log(`Sending ${type} data:`, data);
-        this.dataChannel.send(JSON.stringify({ type, data }));
+        const status = receipts ? await this.waitForReceipt(itemId) : null;
+        return { itemId: itemId, status: status };
     }
 
     /**
-     * Disconnect from Tahta
+     * Send a remote control command (see remote.js)
+     * @param {object} command - { target, action, value? }
      */
-    disconnect() {
-        log('Disconnecting...');
-        this.clearConnectionTimeout();
+    sendControl(command) {
+        this.sendMessage('control', command);
+    }
 
-        if (this.dataChannel) {
-            this.dataChannel.close();
-            this.dataChannel = null;
+    /**
+     * Ask Tahta for the state of what is open on the board
+     */
+    requestControlState() {
+        this.sendMessage('control_sync');
+    }
+
+    /**
+     * Answer a question from Tahta
+     * @param {string} questionId - Question being answered
+     * @param {*} value - Answer, see questions.js
+     */
+    sendAnswer(questionId, value) {
+        this.sendData('answer', { questionId: questionId, value: value });
+    }
+
+    /**
+     * Who sends the items, null without a participant
+     */
+    sender() {
+        return this.participant ? { id: this.participant.id, name: this.participant.name } : null;
+    }
+
+    /**
+     * Change the display name, Tahta is told right away when connected
+     * @param {string} name - New display name
+     */
+    setParticipantName(name) {
+        if (!this.participant) return;
+        this.participant.name = name;
+        if (this.dataChannel && this.dataChannel.readyState === 'open') {
+            this.sendMessage('participant', this.sender());
+        }
+    }
+
+    /**
+     * Send a touchpad / laser pointer event to Tahta (see pointer.js)
+     * Moves and scrolls are coalesced and throttled, taps and drags are sent right away.
+     * @param {object} event - Pointer event, e.g. { e: 'move', mode: 'touchpad', dx, dy }
+     */
+    sendPointer(event) {
+        if (event.e === 'move' || event.e === 'scroll') {
+            this.queuePointer(event);
+            return;
+        }
+
+        // Keep order: pending movement goes before the click
+        this.flushPointer();
+        this.sendMessage('pointer', roundPointer(event));
+    }
+
+    queuePointer(event) {
+        const pending = this.pendingPointer;
+
+        if (pending && pending.e === event.e && pending.mode === event.mode) {
+            // Relative values add up, absolute ones are replaced
+            if ('dx' in event) pending.dx += event.dx;
+            if ('dy' in event) pending.dy += event.dy;
+            if ('x' in event) pending.x = event.x;
+            if ('y' in event) pending.y = event.y;
+        } else {
+            this.flushPointer();
+            this.pendingPointer = { ...event };
+        }
+
+        if (!this.pointerTimer) {
+            const wait = Math.max(0, POINTER_INTERVAL - (Date.now() - this.lastPointerSent));
+            this.pointerTimer = setTimeout(() => this.flushPointer(), wait);
+        }
+    }
+
+    flushPointer() {
+        if (this.pointerTimer) {
+            clearTimeout(this.pointerTimer);
+            this.pointerTimer = null;
         }
 
+        const event = this.pendingPointer;
+        this.pendingPointer = null;
+        if (!event || !this.isConnected) return;
+
+        // A stale move is worthless, don't queue it behind file chunks
+        if (this.dataChannel.bufferedAmount > POINTER_MAX_BUFFERED) return;
+
+        this.sendMessage('pointer', roundPointer(event));
+        this.lastPointerSent = Date.now();
+    }
+
+    /**
+     * Stream a local media track to Tahta (live camera)
+     * @param {MediaStreamTrack} track - Track to send
+     * @param {MediaStream} stream - Stream the track belongs to
+     */
+    async startStream(track, stream) {
+        if (!this.pc) throw new Error('Not connected');
+
+        const existing = this.mediaSenders.get(track.kind);
+        if (existing) {
+            await this.replaceStreamTrack(track);
+            return;
+        }
+
+        const sender = this.pc.addTrack(track, stream);
+        this.mediaSenders.set(track.kind, { track, stream, sender });
+
+        // Text on a notebook page matters more than frame rate
+        if (track.kind === 'video') {
+            try {
+                const params = sender.getParameters();
+                params.degradationPreference = 'maintain-resolution';
+                await sender.setParameters(params);
+            } catch (e) {
+                log('Could not set degradation preference:', e.message);
+            }
+        }
+
+        log(`Streaming ${track.kind} to Tahta`);
+        await this.renegotiate();
+    }
+
+    /**
+     * Swap the streamed track without renegotiating (e.g. switch camera)
+     * @param {MediaStreamTrack} track - New track of the same kind
+     */
+    async replaceStreamTrack(track) {
+        const entry = this.mediaSenders.get(track.kind);
+        if (!entry) return;
+
+        entry.track = track;
+        await entry.sender.replaceTrack(track);
+        log(`Replaced streamed ${track.kind} track`);
+    }
+
+    /**
+     * Stop streaming a track kind to Tahta
+     * @param {string} kind - 'video' or 'audio'
+     */
+    async stopStream(kind) {
+        const entry = this.mediaSenders.get(kind);
+        if (!entry) return;
+
+        this.mediaSenders.delete(kind);
         if (this.pc) {
-            this.pc.close();
-            this.pc = null;
+            this.pc.removeTrack(entry.sender);
+            log(`Stopped streaming ${kind}`);
+            await this.renegotiate();
         }
+    }
 
-        this.isConnected = false;
+    /**
+     * Disconnect from Tahta
+     */
+    disconnect() {
+        log('Disconnecting...');
+        this.closed = true;
+        this.clearConnectionTimeout();
+        this.clearRecoveryTimer();
+
+        this.mediaSenders.clear();
+        this.closePeerConnection();
+        this.rejectReplyWaiters(channelClosedError());
+        this.receiptWaiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(channelClosedError());
+        });
+        this.receiptWaiters.clear();
+        this.receipts.clear();
+        this.approvals.clear();
         this.signaling.cleanup();
         log('Disconnected');
     }
@@ -0,0 +1,260 @@
+/**
+ * WebSocket signaling for WebRTC
+ * Talks to the reference server in server/signaling-server.js, which keeps the
+ * same rooms/{roomId}/... layout as the Firebase database.
+ *
+ * Client -> server:
+ *   { op: 'set', path, value }       { op: 'push', path, value }    { op: 'remove', path }
+ *   { op: 'get', id, path }          { op: 'subscribe', id, path }  { op: 'unsubscribe', id }
+ * Server -> client:
+ *   { op: 'result', id, value }      reply to get
+ *   { op: 'value', id, value }       subscription snapshot, sent on subscribe and on every change
+ */
+
+import { Signaling } from './signaling.js';
+
+const RECONNECT_DELAY = 2000;
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * WebSocket signaling client for phone side
+ */
+export class WebSocketSignaling extends Signaling {
+    /**
+     * @param {string} roomId - Room id
+     * @param {string} participantId - This phone's id in the room
+     * @param {object} options - { url } of the signaling server
+     */
+    constructor(roomId, participantId, options = {}) {
+        super(roomId, participantId);
+        this.url = options.url;
+        this.socket = null;
+        this.closed = false;
+        this.nextId = 1;
+        this.outbox = [];               // Messages waiting for the socket to open
+        this.requests = new Map();      // id -> resolve, for get
+        this.subscriptions = new Map(); // id -> { path, callback }
+
+        this.open();
+    }
+
+    /**
+     * Open the socket, reconnecting and resubscribing if it drops
+     */
+    open() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.onopen = () => {
+            console.log('Signaling socket open');
+
+            // Subscriptions are per connection on the server
+            this.subscriptions.forEach(({ path }, id) => {
+                this.socket.send(JSON.stringify({ op: 'subscribe', id, path }));
+            });
+            this.outbox.splice(0).forEach(msg => this.socket.send(msg));
+        };
+
+        this.socket.onmessage = (event) => {
+            let msg;
+            try {
+                msg = JSON.parse(event.data);
+            } catch (e) {
+                console.error('Signaling message error:', e);
+                return;
+            }
+
+            if (msg.op === 'result') {
+                const resolve = this.requests.get(msg.id);
+                if (resolve) {
+                    this.requests.delete(msg.id);
+                    resolve(msg.value);
+                }
+            } else if (msg.op === 'value') {
+                const subscription = this.subscriptions.get(msg.id);
+                if (subscription) subscription.callback(msg.value);
+            }
+        };
+
+        this.socket.onclose = () => {
+            if (this.closed) return;
+            console.log('Signaling socket closed, reconnecting...');
+            setTimeout(() => {
+                if (!this.closed) this.open();
+            }, RECONNECT_DELAY);
+        };
+
+        this.socket.onerror = (error) => {
+            console.error('Signaling socket error:', error);
+        };
+    }
+
+    send(msg) {
+        const data = JSON.stringify(msg);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(data);
+        } else {
+            this.outbox.push(data);
+        }
+    }
+
+    /**
+     * Read a value once
+     */
+    get(path) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.requests.delete(id);
+                reject(new Error(`Signaling request timed out: ${path}`));
+            }, REQUEST_TIMEOUT);
+
+            this.requests.set(id, (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            });
+            this.send({ op: 'get', id, path });
+        });
+    }
+
+    /**
+     * Watch a value, callback gets the current value and every change
+     */
+    subscribe(path, callback) {
+        const id = this.nextId++;
+        this.subscriptions.set(id, { path, callback });
+        this.send({ op: 'subscribe', id, path });
+        return id;
+    }
+
+    /**
+     * Set SDP offer from phone
+     */
+    async setOffer(sdp) {
+        this.send({ op: 'set', path: `${this.peerRoot}/phone/sdp`, value: sdp });
+        return true;
+    }
+
+    /**
+     * Add ICE candidate from phone
+     */
+    async addIceCandidate(candidate) {
+        this.send({ op: 'push', path: `${this.peerRoot}/phone/ice_candidates`, value: candidate });
+        return true;
+    }
+
+    /**
+     * Remove ICE candidates from an earlier peer connection before renegotiating
+     */
+    async clearIceCandidates() {
+        this.send({ op: 'remove', path: `${this.peerRoot}/phone/ice_candidates` });
+        return true;
+    }
+
+    /**
+     * Listen for SDP answer from Tahta
+     */
+    onAnswer(callback) {
+        this.subscribe(`${this.peerRoot}/tahta/sdp`, (data) => {
+            // Plain answer, or sealed by secure-signaling.js
+            if (data && (data.sdp || data.sealed)) {
+                callback(data);
+            }
+        });
+    }
+
+    /**
+     * Listen for ICE candidates from Tahta
+     */
+    onRemoteIceCandidate(callback) {
+        const processedKeys = new Set();
+
+        this.subscribe(`${this.peerRoot}/tahta/ice_candidates`, (data) => {
+            if (data) {
+                Object.entries(data).forEach(([key, candidate]) => {
+                    if (!processedKeys.has(key)) {
+                        processedKeys.add(key);
+                        callback(candidate);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Listen for room status changes
+     */
+    onStatusChange(callback) {
+        this.subscribe(`rooms/${this.roomId}/status`, (status) => {
+            if (status) {
+                callback(status);
+            }
+        });
+    }
+
+    /**
+     * Check if room exists
+     * The server does not hand out whole rooms, Tahta's status stands for it.
+     */
+    async checkRoom() {
+        const status = await this.get(`rooms/${this.roomId}/status`);
+        return status !== null && status !== undefined;
+    }
+
+    /**
+     * Read the pairing Tahta published for the room
+     */
+    async getPairing() {
+        const pairing = await this.get(`rooms/${this.roomId}/pairing`);
+        return pairing || null;
+    }
+
+    /**
+     * Listen for Tahta's verdict on the pairing proof
+     */
+    onPairingResult(callback) {
+        this.subscribe(`${this.peerRoot}/tahta/pairing`, (result) => {
+            if (result) {
+                callback(result);
+            }
+        });
+    }
+
+    /**
+     * Read the ICE config Tahta published for the room
+     */
+    async getIceConfig() {
+        const ice = await this.get(`rooms/${this.roomId}/ice`);
+        return ice || null;
+    }
+
+    /**
+     * Update the phone's status
+     */
+    async updateStatus(status) {
+        this.send({ op: 'set', path: `${this.peerRoot}/phone/status`, value: status });
+        return true;
+    }
+
+    /**
+     * Publish the phone's display name
+     */
+    async setName(name) {
+        this.send({ op: 'set', path: `${this.peerRoot}/phone/name`, value: name });
+        return true;
+    }
+
+    /**
+     * Cleanup: remove listeners and this participant's subtree
+     */
+    cleanup() {
+        this.subscriptions.forEach((_, id) => this.send({ op: 'unsubscribe', id }));
+        this.subscriptions.clear();
+        this.send({ op: 'remove', path: this.peerRoot });
+
+        // Messages already sent are still delivered before the close frame
+        this.closed = true;
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.close();
+        }
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Reference signaling server for Tahta
+ *
+ * A small in-memory tree with the same rooms/{roomId}/... layout as the
+ * Firebase database, served over WebSocket (protocol in js/websocket-signaling.js).
+ * Uses only Node built-ins, no install step:
+ *
+ *   node server/signaling-server.js            # listens on port 8080
+ *   PORT=9000 node server/signaling-server.js
+ *
+ * Phones connect with ?ws=ws://<host>:8080 in the QR link. Data lives in
+ * memory only, rooms are dropped after ROOM_TTL without writes.
+ *
+ * Clients only reach paths inside a room (rooms/{roomId}/{child}/...), never
+ * the list of rooms or the root, and a room or the whole tree that is full
+ * refuses writes until something is removed or expires.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOM_TTL = 6 * 60 * 60 * 1000;    // 6 hours
+const MAX_MESSAGE_SIZE = 256 * 1024;    // SDPs and candidates are small
+const MAX_ROOM_ENTRIES = 5000;          // A class of phones with their candidates
+const MAX_TREE_SIZE = 64 * 1024 * 1024; // Bytes of JSON over all rooms
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Data
+const tree = {};
+const roomTouched = new Map();  // roomId -> last write time
+const roomUsage = new Map();    // roomId -> { entries, bytes }
+const clients = new Set();
+let pushCounter = 0;
+
+function log(msg) {
+    console.log(`[${new Date().toISOString().substr(11, 12)}] ${msg}`);
+}
+
+/**
+ * Split 'rooms/abc/phone' into ['rooms', 'abc', 'phone']
+ * Only paths inside one room are accepted, other rooms stay out of reach.
+ */
+function splitPath(path) {
+    if (typeof path !== 'string') throw new Error('Invalid path');
+    const parts = path.split('/').filter(Boolean);
+    if (parts.some(p => p === '__proto__' || p === 'constructor' || p === 'prototype')) {
+        throw new Error('Invalid path');
+    }
+    if (parts.length < 3 || parts[0] !== 'rooms') throw new Error(`Path outside a room: ${path}`);
+    return parts;
+}
+
+/**
+ * Number of keys and JSON size of a value stored under a key, 0 for none
+ */
+function measure(value) {
+    if (value === undefined) return { entries: 0, bytes: 0 };
+
+    let entries = 1;
+    const count = node => {
+        if (node === null || typeof node !== 'object') return;
+        Object.values(node).forEach(child => {
+            entries++;
+            count(child);
+        });
+    };
+    count(value);
+    return { entries, bytes: Buffer.byteLength(JSON.stringify(value)) };
+}
+
+function treeSize() {
+    let bytes = 0;
+    roomUsage.forEach(usage => { bytes += usage.bytes; });
+    return bytes;
+}
+
+/**
+ * Refuse writes to a full room or a full tree, removing is always allowed
+ */
+function checkRoomSpace(roomId) {
+    const usage = roomUsage.get(roomId);
+    if (usage && usage.entries >= MAX_ROOM_ENTRIES) throw new Error(`Room full: ${roomId}`);
+    if (treeSize() >= MAX_TREE_SIZE) throw new Error('Signaling tree full');
+}
+
+/**
+ * Add what a write changed to the room's usage, kept up to date instead of measuring the room again
+ */
+function updateRoomUsage(roomId, before, after) {
+    const usage = roomUsage.get(roomId) || { entries: 0, bytes: 0 };
+    usage.entries += after.entries - before.entries;
+    usage.bytes += after.bytes - before.bytes;
+    roomUsage.set(roomId, usage);
+}
+
+function getValue(parts) {
+    let node = tree;
+    for (const part of parts) {
+        if (node === null || typeof node !== 'object' || !Object.hasOwn(node, part)) return null;
+        node = node[part];
+    }
+    return node;
+}
+
+function setValue(parts, value) {
+    const roomId = parts[1];
+    let node = tree;
+    for (const [depth, part] of parts.slice(0, -1).entries()) {
+        if (node[part] === null || typeof node[part] !== 'object') {
+            node[part] = {};
+            if (depth >= 2) updateRoomUsage(roomId, measure(undefined), measure({}));
+        }
+        node = node[part];
+    }
+
+    const last = parts[parts.length - 1];
+    const before = measure(Object.hasOwn(node, last) ? node[last] : undefined);
+    if (value === null || value === undefined) {
+        delete node[last];
+    } else {
+        node[last] = value;
+    }
+
+    roomTouched.set(roomId, Date.now());
+    updateRoomUsage(roomId, before, measure(Object.hasOwn(node, last) ? node[last] : undefined));
+}
+
+/**
+ * Key for push, sorts in insertion order like Firebase push ids
+ */
+function pushKey() {
+    pushCounter++;
+    return `-${Date.now().toString(36)}${pushCounter.toString(36).padStart(6, '0')}`;
+}
+
+/**
+ * Send fresh values to every subscription that covers or sits under the changed path
+ */
+function notify(changedPath) {
+    const changed = changedPath.join('/');
+
+    clients.forEach(client => {
+        client.subscriptions.forEach((path, id) => {
+            const watched = path.join('/');
+            if (changed === watched || changed.startsWith(watched + '/') || watched.startsWith(changed + '/')) {
+                client.send({ op: 'value', id, value: getValue(path) });
+            }
+        });
+    });
+}
+
+/**
+ * Handle one message from a client
+ */
+function handleMessage(client, msg) {
+    if (msg.op === 'unsubscribe') {
+        client.subscriptions.delete(msg.id);
+        return;
+    }
+
+    const parts = splitPath(msg.path);
+
+    switch (msg.op) {
+        case 'set':
+            if (msg.value !== null && msg.value !== undefined) checkRoomSpace(parts[1]);
+            setValue(parts, msg.value);
+            notify(parts);
+            break;
+        case 'push': {
+            checkRoomSpace(parts[1]);
+            const keyPath = parts.concat(pushKey());
+            setValue(keyPath, msg.value);
+            notify(keyPath);
+            break;
+        }
+        case 'remove':
+            setValue(parts, null);
+            notify(parts);
+            break;
+        case 'get':
+            client.send({ op: 'result', id: msg.id, value: getValue(parts) });
+            break;
+        case 'subscribe':
+            client.subscriptions.set(msg.id, parts);
+            client.send({ op: 'value', id: msg.id, value: getValue(parts) });
+            break;
+        default:
+            throw new Error(`Unknown op: ${msg.op}`);
+    }
+}
+
+/**
+ * Encode a WebSocket frame (server frames are not masked)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * A connected WebSocket client
+ */
+class Client {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.subscriptions = new Map();  // id -> path parts
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => clients.delete(this));
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(msg) {
+        if (!this.socket.writable) return;
+        this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(msg))));
+    }
+
+    close(code = 1000) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        if (this.socket.writable) this.socket.end(encodeFrame(0x8, payload));
+        clients.delete(this);
+    }
+
+    /**
+     * Parse incoming frames
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (!masked || length > MAX_MESSAGE_SIZE) {
+                this.close(1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0:   // continuation
+            case 0x1:   // text
+                // Each frame is checked on its own, a fragmented message as a whole
+                this.fragmentsSize += payload.length;
+                if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    this.buffer = Buffer.alloc(0);
+                    this.close(1009);
+                    return;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    this.handleText(text);
+                }
+                break;
+            case 0x8:   // close
+                this.close();
+                break;
+            case 0x9:   // ping
+                if (this.socket.writable) this.socket.write(encodeFrame(0xA, payload));
+                break;
+            case 0xA:   // pong
+                break;
+            default:
+                this.close(1003);
+        }
+    }
+
+    handleText(text) {
+        try {
+            handleMessage(this, JSON.parse(text));
+        } catch (e) {
+            log(`Bad message: ${e.message}`);
+        }
+    }
+}
+
+// HTTP server, only used for the WebSocket upgrade
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Tahta signaling server\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    socket.setNoDelay(true);
+    clients.add(new Client(socket));
+    log(`Client connected (${clients.size})`);
+});
+
+// Drop rooms nobody has written to for a while
+setInterval(() => {
+    const now = Date.now();
+    roomTouched.forEach((time, roomId) => {
+        if (now - time > ROOM_TTL && tree.rooms) {
+            delete tree.rooms[roomId];
+            roomTouched.delete(roomId);
+            roomUsage.delete(roomId);
+            log(`Room expired: ${roomId}`);
+        }
+    });
+}, 60 * 1000).unref();
+
+server.listen(PORT, () => log(`Signaling server listening on port ${PORT}`));